@@ -0,0 +1,304 @@
+/* eslint-env browser */
+
+/**
+ * esdoc-plugin-jspm - Dependencies page. Draws the package dependency graphs in `window.esdocJSPMDependencies` with a
+ * self-contained force-directed layout, provides a scope switch (all / main / dev / peer), a depth filter and shows
+ * the documented classes of a package when its node is clicked. Undocumented packages are faded, packages in
+ * dependency cycles are outlined in red and packages present in more than one version are listed with the parents
+ * which pull in each version.
+ */
+(() =>
+{
+   const data = window.esdocJSPMDependencies;
+   const root = document.querySelector('.esdoc-jspm-dependencies');
+
+   if (!data || !root) { return; }
+
+   const svgNS = 'http://www.w3.org/2000/svg';
+
+   const svg = root.querySelector('svg.graph');
+   const scopeSelect = root.querySelector('select.scope');
+   const depthInput = root.querySelector('input.depth');
+   const depthValue = root.querySelector('.depth-value');
+   const panel = root.querySelector('.package-panel');
+   const duplicates = root.querySelector('.duplicates');
+
+   const width = 800;
+   const height = 560;
+
+   let selectedID;
+
+   /**
+    * Runs a simple force-directed layout on the given nodes / links setting `x` / `y` for each node.
+    *
+    * @param {Array<object>}  nodes - Visible nodes.
+    * @param {Array<object>}  links - Visible links with `source` / `target` node references.
+    */
+   const layout = (nodes, links) =>
+   {
+      const levels = {};
+
+      // Initial placement by depth from left to right.
+      nodes.forEach((node) =>
+      {
+         levels[node.minLevel] = (levels[node.minLevel] || 0) + 1;
+         node.x = 60 + (node.minLevel * 140);
+         node.y = 40 + ((levels[node.minLevel] * 53) % (height - 80));
+         node.vx = 0;
+         node.vy = 0;
+      });
+
+      for (let tick = 0; tick < 300; tick++)
+      {
+         const alpha = 1 - (tick / 300);
+
+         // Repulsion between all nodes.
+         for (let i = 0; i < nodes.length; i++)
+         {
+            for (let j = i + 1; j < nodes.length; j++)
+            {
+               const dx = (nodes[j].x - nodes[i].x) || 0.01;
+               const dy = (nodes[j].y - nodes[i].y) || 0.01;
+               const dist2 = Math.max((dx * dx) + (dy * dy), 1);
+               const force = (2000 / dist2) * alpha;
+
+               nodes[i].vx -= dx * force / Math.sqrt(dist2);
+               nodes[i].vy -= dy * force / Math.sqrt(dist2);
+               nodes[j].vx += dx * force / Math.sqrt(dist2);
+               nodes[j].vy += dy * force / Math.sqrt(dist2);
+            }
+         }
+
+         // Springs for links.
+         links.forEach((link) =>
+         {
+            const dx = link.target.x - link.source.x;
+            const dy = link.target.y - link.source.y;
+            const dist = Math.sqrt((dx * dx) + (dy * dy)) || 1;
+            const force = (dist - 100) * 0.02 * alpha;
+
+            link.source.vx += dx / dist * force;
+            link.source.vy += dy / dist * force;
+            link.target.vx -= dx / dist * force;
+            link.target.vy -= dy / dist * force;
+         });
+
+         // Gravity to the center, apply velocity w/ friction and keep nodes in bounds.
+         nodes.forEach((node) =>
+         {
+            node.vx += ((width / 2) - node.x) * 0.002 * alpha;
+            node.vy += ((height / 2) - node.y) * 0.002 * alpha;
+
+            node.x = Math.min(width - 20, Math.max(20, node.x + node.vx));
+            node.y = Math.min(height - 20, Math.max(20, node.y + node.vy));
+
+            node.vx *= 0.6;
+            node.vy *= 0.6;
+         });
+      }
+   };
+
+   /**
+    * Creates an SVG element.
+    *
+    * @param {string}   name - Element name.
+    * @param {object}   attributes - Attributes to set.
+    * @returns {Element}
+    */
+   const createSVG = (name, attributes) =>
+   {
+      const element = document.createElementNS(svgNS, name);
+
+      for (const key in attributes) { element.setAttribute(key, attributes[key]); }
+
+      return element;
+   };
+
+   /**
+    * Shows the details and documented classes of a node in the package panel.
+    *
+    * @param {object}   node - Node to show.
+    */
+   const showPackage = (node) =>
+   {
+      selectedID = node.id;
+
+      Array.prototype.forEach.call(svg.querySelectorAll('circle'), (circle) =>
+      {
+         circle.classList.toggle('selected', circle.getAttribute('data-id') === node.id);
+      });
+
+      panel.innerHTML = '';
+
+      const title = document.createElement('h2');
+      title.textContent = node.name;
+      panel.appendChild(title);
+
+      const details = document.createElement('p');
+      details.textContent = `${node.jspmType ? `${node.jspmType} ` : ''}${node.version}`
+       + `${node.isAlias ? ` (alias of ${node.actualName})` : ''}`;
+      panel.appendChild(details);
+
+      if (node.cycle >= 0)
+      {
+         const cycle = document.createElement('p');
+         cycle.className = 'cycle';
+         cycle.textContent = `Dependency cycle: ${data.scopes[scopeSelect.value].cycles[node.cycle].join(' <-> ')}`;
+         panel.appendChild(cycle);
+      }
+
+      if (!node.isDocumented)
+      {
+         const external = document.createElement('p');
+         external.className = 'empty';
+         external.textContent = 'Undocumented external reference.';
+         panel.appendChild(external);
+         return;
+      }
+
+      const classes = data.classes[node.id] || [];
+
+      if (classes.length === 0)
+      {
+         const empty = document.createElement('p');
+         empty.className = 'empty';
+         empty.textContent = 'No documented classes.';
+         panel.appendChild(empty);
+         return;
+      }
+
+      const list = document.createElement('ul');
+
+      classes.forEach((entry) =>
+      {
+         const item = document.createElement('li');
+         const anchor = document.createElement('a');
+
+         anchor.href = entry.url;
+         anchor.textContent = entry.name;
+
+         item.appendChild(anchor);
+         list.appendChild(item);
+      });
+
+      panel.appendChild(list);
+   };
+
+   /**
+    * Renders the selected scope filtered by the selected depth.
+    */
+   const render = () =>
+   {
+      const graph = data.scopes[scopeSelect.value];
+      const depth = parseInt(depthInput.value, 10);
+
+      depthValue.textContent = depth;
+
+      const nodes = graph.nodes.filter((node) => node.minLevel <= depth).map((node) => Object.assign({}, node));
+
+      const nodeMap = {};
+      nodes.forEach((node) => { nodeMap[node.id] = node; });
+
+      const links = graph.links.filter((link) => nodeMap[link.source] && nodeMap[link.target]).map((link) =>
+       ({ source: nodeMap[link.source], target: nodeMap[link.target] }));
+
+      layout(nodes, links);
+
+      while (svg.firstChild) { svg.removeChild(svg.firstChild); }
+
+      links.forEach((link) =>
+      {
+         svg.appendChild(createSVG('line', { x1: link.source.x, y1: link.source.y, x2: link.target.x,
+          y2: link.target.y }));
+      });
+
+      nodes.forEach((node) =>
+      {
+         const type = ['root', 'github', 'npm'].indexOf(node.jspmType) >= 0 ? node.jspmType : 'other';
+
+         const circle = createSVG('circle', { 'cx': node.x, 'cy': node.y, 'r': node.minLevel === 0 ? 10 : 7,
+          'class': `jspm-type-${type}${node.isDocumented ? '' : ' undocumented'}${node.cycle >= 0 ? ' cycle' : ''}`
+           + `${node.id === selectedID ? ' selected' : ''}`, 'data-id': node.id });
+
+         const title = createSVG('title', {});
+         title.textContent = `${node.name} ${node.version}`;
+         circle.appendChild(title);
+
+         circle.addEventListener('click', () => { showPackage(node); });
+
+         svg.appendChild(circle);
+
+         const label = createSVG('text', { x: node.x + 10, y: node.y + 4 });
+         label.textContent = node.name;
+         svg.appendChild(label);
+      });
+   };
+
+   /**
+    * Renders the packages present in more than one version in the selected scope with the parents of each version.
+    */
+   const renderDuplicates = () =>
+   {
+      const graph = data.scopes[scopeSelect.value];
+
+      const nodeNames = {};
+      graph.nodes.forEach((node) => { nodeNames[node.id] = `${node.name}${node.version ? ` ${node.version}` : ''}`; });
+
+      duplicates.innerHTML = '';
+
+      if (graph.duplicates.length === 0)
+      {
+         const empty = document.createElement('p');
+         empty.className = 'empty';
+         empty.textContent = 'No packages with more than one version.';
+         duplicates.appendChild(empty);
+         return;
+      }
+
+      const table = document.createElement('table');
+
+      graph.duplicates.forEach((entry) =>
+      {
+         entry.versions.forEach((version, index) =>
+         {
+            const row = table.insertRow();
+
+            row.insertCell().textContent = index === 0 ? `${entry.registry}:${entry.name}` : '';
+            row.insertCell().textContent = version.version;
+            row.insertCell().textContent = version.parents.map((parent) => nodeNames[parent] || parent).join(', ');
+         });
+      });
+
+      const header = table.createTHead().insertRow();
+
+      ['Package', 'Version', 'Pulled in by'].forEach((title) => { header.insertCell().textContent = title; });
+
+      duplicates.appendChild(table);
+   };
+
+   /**
+    * Updates the depth filter range for the selected scope.
+    */
+   const updateDepthRange = () =>
+   {
+      const graph = data.scopes[scopeSelect.value];
+
+      depthInput.max = graph.maxLevel;
+
+      if (parseInt(depthInput.value, 10) > graph.maxLevel || depthInput.getAttribute('data-scope') === null)
+      {
+         depthInput.value = graph.maxLevel;
+      }
+
+      depthInput.setAttribute('data-scope', scopeSelect.value);
+   };
+
+   svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+   scopeSelect.addEventListener('change', () => { updateDepthRange(); render(); renderDuplicates(); });
+   depthInput.addEventListener('input', render);
+
+   updateDepthRange();
+   render();
+   renderDuplicates();
+})();
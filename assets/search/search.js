@@ -0,0 +1,202 @@
+/* eslint-env browser */
+
+/**
+ * esdoc-plugin-jspm - Package aware search. Replaces the ESDoc `script/search.js` and searches
+ * `window.esdocSearchIndex` where each entry may record its origin package `{id, name, version, isLocal}` at index 4.
+ * A package select in the search box limits results to the local project or a single JSPM package and each result
+ * from a JSPM package shows the package name and version. Entries of the kind `package` lead to the package overview
+ * pages.
+ */
+(() =>
+{
+   const searchIndex = window.esdocSearchIndex;
+   const searchBox = document.querySelector('.search-box');
+   const input = document.querySelector('.search-input');
+   const result = document.querySelector('.search-result');
+
+   if (!searchIndex || !searchBox || !input || !result) { return; }
+
+   const kinds = ['package', 'class', 'method', 'member', 'function', 'variable', 'typedef', 'external', 'file', 'test',
+    'testFile'];
+
+   let selectedIndex = -1;
+   let prevText;
+   let prevFilter;
+
+   /**
+    * Escapes a value for HTML.
+    *
+    * @param {*}  value - Value to escape.
+    * @returns {string}
+    */
+   const escapeHTML = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+   // Create the package select listing the local project followed by all packages found in the search index.
+   const packages = {};
+
+   searchIndex.forEach((entry) => { if (entry[4]) { packages[entry[4].id] = entry[4]; } });
+
+   const packageList = Object.keys(packages).map((id) => packages[id]).sort((a, b) =>
+    (b.isLocal - a.isLocal) || a.name.localeCompare(b.name));
+
+   const select = document.createElement('select');
+
+   select.className = 'esdoc-jspm-search-package';
+   select.title = 'Limit search results to a package';
+   select.innerHTML = `<option value="">All packages</option>${packageList.map((pkg) =>
+    `<option value="${escapeHTML(pkg.id)}">${escapeHTML(pkg.isLocal ? `${pkg.name} (local)` :
+     `${pkg.name} ${pkg.version}`)}</option>`).join('')}`;
+
+   searchBox.insertBefore(select, input.previousElementSibling || input);
+
+   /**
+    * Searches the index with the current text and package filter and shows the results grouped by kind.
+    */
+   const search = () =>
+   {
+      const text = input.value.toLowerCase();
+      const filter = select.value;
+
+      if (!text)
+      {
+         result.style.display = 'none';
+         result.innerHTML = '';
+         return;
+      }
+
+      if (text === prevText && filter === prevFilter) { return; }
+
+      prevText = text;
+      prevFilter = filter;
+
+      const html = {};
+
+      kinds.forEach((kind) => { html[kind] = []; });
+
+      for (let cntr = 0; cntr < searchIndex.length; cntr++)
+      {
+         const entry = searchIndex[cntr];
+         const pkg = entry[4];
+
+         if (entry[0].indexOf(text) === -1) { continue; }
+         if (filter && (!pkg || pkg.id !== filter)) { continue; }
+
+         const origin = pkg && !pkg.isLocal && entry[3] !== 'package' ?
+          ` <span class="esdoc-jspm-search-origin">${escapeHTML(`${pkg.name} ${pkg.version}`)}</span>` : '';
+
+         if (!html[entry[3]]) { html[entry[3]] = []; }
+
+         html[entry[3]].push(`<li><a href="${entry[1]}">${entry[2]}${origin}</a></li>`);
+      }
+
+      let innerHTML = '';
+
+      for (const kind in html)
+      {
+         if (!html[kind].length) { continue; }
+
+         innerHTML += `<li class="search-separator">${kind}</li>\n${html[kind].join('\n')}`;
+      }
+
+      result.innerHTML = innerHTML;
+
+      if (innerHTML) { result.style.display = 'block'; }
+
+      selectedIndex = -1;
+   };
+
+   /**
+    * Moves the selected result by the given offset skipping separators.
+    *
+    * @param {number}   offset - `1` to select the next result or `-1` to select the previous result.
+    */
+   const moveSelection = (offset) =>
+   {
+      const current = result.children[selectedIndex];
+      let selected = result.children[selectedIndex + offset];
+
+      if (selected && selected.classList.contains('search-separator'))
+      {
+         selected = result.children[selectedIndex + (offset * 2)];
+         selectedIndex += offset;
+      }
+
+      if (selected)
+      {
+         if (current) { current.classList.remove('selected'); }
+         selectedIndex += offset;
+         selected.classList.add('selected');
+      }
+   };
+
+   // Activate the search box and focus the input when the mouse enters the search box.
+   searchBox.addEventListener('mouseenter', () =>
+   {
+      searchBox.classList.add('active');
+      input.focus();
+   });
+
+   input.addEventListener('keyup', search);
+
+   select.addEventListener('change', () =>
+   {
+      search();
+      input.focus();
+   });
+
+   // Keep the results open when the package select is clicked.
+   select.addEventListener('click', (ev) => { ev.stopPropagation(); });
+
+   // Down, up and enter keys select / open a search result.
+   input.addEventListener('keydown', (ev) =>
+   {
+      if (ev.keyCode === 40)
+      {
+         moveSelection(1);
+      }
+      else if (ev.keyCode === 38)
+      {
+         moveSelection(-1);
+      }
+      else if (ev.keyCode === 13)
+      {
+         const current = result.children[selectedIndex];
+         const link = current ? current.querySelector('a') : null;
+
+         if (link) { location.href = link.href; }
+      }
+      else
+      {
+         return;
+      }
+
+      ev.preventDefault();
+   });
+
+   // Select a search result when the mouse is over it.
+   result.addEventListener('mousemove', (ev) =>
+   {
+      const current = result.children[selectedIndex];
+
+      if (current) { current.classList.remove('selected'); }
+
+      let li = ev.target;
+
+      while (li && li.nodeName !== 'LI') { li = li.parentElement; }
+
+      if (li)
+      {
+         selectedIndex = Array.prototype.indexOf.call(result.children, li);
+         li.classList.add('selected');
+      }
+   });
+
+   // Clear the search results when the body is clicked.
+   document.body.addEventListener('click', () =>
+   {
+      selectedIndex = -1;
+      result.style.display = 'none';
+      result.innerHTML = '';
+   });
+})();
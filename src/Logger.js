@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * Provides the leveled logger of the plugin. All output of a build passes through one logger created in `onStart`
+ * from the plugin options:
+ * - `logLevel` - One of `off`, `error`, `warn`, `info` (default), `debug` or `trace`. The deprecated `silent` option
+ *   maps to `off` and `verbose` to `trace` when `logLevel` is not set.
+ * - `logFormat` - `text` (default) prints `esdoc-plugin-jspm - <Level>: <message>`; `json` prints one JSON object per
+ *   line (JSON lines) with `time`, `level`, `name`, `message` and any additional data which is useful for CI.
+ * - `logger` - A host logger receiving all entries which pass the log level instead of the console. Either a function
+ *   invoked with the entry object or an object with `error`, `warn`, `info`, `debug` and `trace` methods invoked with
+ *   the message and the entry object; a missing level method falls back to `log`. An entry which the host has no method
+ *   for and any host without methods IE an object copied through JSON is output to the console instead. ESDoc copies
+ *   plugin options through JSON, so the plugin receives the host logger from `setLogger` and not from its options.
+ */
+export default class Logger
+{
+   /**
+    * Creates a logger from the plugin options.
+    *
+    * @param {object}   options - Optional parameters from plugin instance.
+    */
+   constructor(options = {})
+   {
+      /**
+       * The enabled log level.
+       * @type {string}
+       */
+      this.level = Logger.isLevel(options.logLevel) ? options.logLevel :
+       options.silent === true ? 'off' : options.verbose === true ? 'trace' : 'info';
+
+      /**
+       * The output format; either `text` or `json`.
+       * @type {string}
+       */
+      this.format = options.logFormat === 'json' ? 'json' : 'text';
+
+      /**
+       * An optional host logger.
+       * @type {function|object|undefined}
+       */
+      this.host = s_IS_HOST_LOGGER(options.logger) ? options.logger : void 0;
+
+      /**
+       * The name prefixing all output.
+       * @type {string}
+       */
+      this.name = 'esdoc-plugin-jspm';
+   }
+
+   /**
+    * Returns whether a string is a valid log level.
+    *
+    * @param {string}   level - Log level to test.
+    * @returns {boolean}
+    */
+   static isLevel(level)
+   {
+      return s_LEVELS.hasOwnProperty(level);
+   }
+
+   /**
+    * Returns whether messages of the given level are output; use to guard building expensive messages.
+    *
+    * @param {string}   level - Log level to test.
+    * @returns {boolean}
+    */
+   isEnabled(level)
+   {
+      return s_LEVELS[level] > 0 && s_LEVELS[level] <= s_LEVELS[this.level];
+   }
+
+   /**
+    * Logs a message if the level is enabled.
+    *
+    * @param {string}   level - Log level of the message.
+    * @param {string}   message - Message to log.
+    * @param {object}   [data] - Additional data added to the entry such as the package or file concerned.
+    */
+   log(level, message, data = void 0)
+   {
+      if (!this.isEnabled(level)) { return; }
+
+      const entry = Object.assign({ time: new Date().toISOString(), level, name: this.name, message }, data);
+
+      if (typeof this.host === 'function')
+      {
+         this.host(entry);
+         return;
+      }
+
+      if (typeof this.host === 'object')
+      {
+         const method = typeof this.host[level] === 'function' ? level : 'log';
+
+         if (typeof this.host[method] === 'function')
+         {
+            this.host[method](message, entry);
+            return;
+         }
+      }
+
+      if (this.format === 'json')
+      {
+         console.log(JSON.stringify(entry));
+      }
+      else
+      {
+         console.log(`${this.name} - ${s_LABELS[level]}: ${message}`);
+      }
+   }
+
+   /**
+    * Logs an error message.
+    *
+    * @param {string}   message - Message to log.
+    * @param {object}   [data] - Additional entry data.
+    */
+   error(message, data) { this.log('error', message, data); }
+
+   /**
+    * Logs a warning message.
+    *
+    * @param {string}   message - Message to log.
+    * @param {object}   [data] - Additional entry data.
+    */
+   warn(message, data) { this.log('warn', message, data); }
+
+   /**
+    * Logs an info message.
+    *
+    * @param {string}   message - Message to log.
+    * @param {object}   [data] - Additional entry data.
+    */
+   info(message, data) { this.log('info', message, data); }
+
+   /**
+    * Logs a debug message.
+    *
+    * @param {string}   message - Message to log.
+    * @param {object}   [data] - Additional entry data.
+    */
+   debug(message, data) { this.log('debug', message, data); }
+
+   /**
+    * Logs a trace message.
+    *
+    * @param {string}   message - Message to log.
+    * @param {object}   [data] - Additional entry data.
+    */
+   trace(message, data) { this.log('trace', message, data); }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines the log levels by verbosity; `off` disables all output.
+ * @type {{off: number, error: number, warn: number, info: number, debug: number, trace: number}}
+ */
+const s_LEVELS = { off: 0, error: 1, warn: 2, info: 3, debug: 4, trace: 5 };
+
+/**
+ * Defines the text output label of each log level.
+ * @type {{error: string, warn: string, info: string, debug: string, trace: string}}
+ */
+const s_LABELS = { error: 'Error', warn: 'Warning', info: 'Info', debug: 'Debug', trace: 'Trace' };
+
+/**
+ * Defines the host logger methods of which at least one must be present.
+ * @type {string[]}
+ */
+const s_HOST_METHODS = ['error', 'warn', 'info', 'debug', 'trace', 'log'];
+
+/**
+ * Returns whether a host logger is usable; either a function or an object with at least one logging method.
+ *
+ * @param {*}  logger - Host logger to test.
+ * @returns {boolean}
+ */
+const s_IS_HOST_LOGGER = (logger) => typeof logger === 'function' || (typeof logger === 'object' && logger !== null &&
+ s_HOST_METHODS.some((method) => typeof logger[method] === 'function'));
@@ -0,0 +1,207 @@
+'use strict';
+
+import _                                          from 'underscore';
+import crypto                                     from 'crypto';
+import fs                                         from 'fs-extra';
+import path                                       from 'path';
+
+import Logger                                     from './Logger.js';
+
+import { getESDocConfigFilenames }                from './esdocConfigLoader.js';
+import { resolvePackagePath, resolveRootPath }    from './packageParser.js';
+import { resolveSystemConfig }                    from './systemLoader.js';
+
+/**
+ * Provides an on-disk cache of the parsed JSPM data from `packageParser` and the package graphs from
+ * `packageGraphParser`, so that incremental documentation builds skip package resolution when nothing has changed.
+ *
+ * A cache entry is valid when the content hashes of the root `package.json`, the SystemJS / jspm config files and the
+ * plugin options match and the ESDoc config files (and `package.json`) of each JSPM package are unchanged. The cache is
+ * stored in `options.cacheDirectory` which is relative to the root path.
+ */
+export default class PackageCache
+{
+   /**
+    * Loads cached JSPM data and package graphs returning undefined if there is no valid cache entry.
+    *
+    * @param {object}   config - ESDoc configuration.
+    * @param {object}   options - Optional parameters from plugin instance.
+    * @param {Logger}   log - Logger of the build.
+    *
+    * @returns {{jspmData: object, packageGraph: object}|undefined}
+    */
+   static load(config, options, log = new Logger(options))
+   {
+      const cacheFile = s_GET_CACHE_FILE(config, options);
+
+      let cache;
+
+      try { cache = JSON.parse(fs.readFileSync(cacheFile, 'utf-8')); }
+      catch (err) { return void 0; }
+
+      if (cache === null || typeof cache !== 'object' || cache.version !== s_CACHE_VERSION) { return void 0; }
+
+      if (cache.key !== s_CREATE_KEY(config, options)) { return void 0; }
+
+      // Verify that the ESDoc config files of all JSPM packages are unchanged.
+      const rootPath = cache.jspmData.rootPath;
+
+      for (const packageDir in cache.packageFiles)
+      {
+         if (s_HASH_PACKAGE_FILES(path.resolve(rootPath, packageDir)) !== cache.packageFiles[packageDir])
+         {
+            return void 0;
+         }
+      }
+
+      const { jspmData, packageGraph } = cache;
+
+      // Restore shared package data between the package graph nodes and `normPackageDataAll`.
+      for (const key in packageGraph)
+      {
+         packageGraph[key].nodes.forEach((node) =>
+         {
+            if (jspmData.normPackageDataAll.hasOwnProperty(node.id))
+            {
+               node.packageData = jspmData.normPackageDataAll[node.id];
+            }
+         });
+      }
+
+      global.$$esdoc_plugin_jspm = jspmData;
+      global.$$esdoc_plugin_jspm_package_graph = packageGraph;
+
+      log.info(`using cached package data: '${cacheFile}'`);
+
+      return { jspmData, packageGraph };
+   }
+
+   /**
+    * Saves JSPM data and package graphs to the cache.
+    *
+    * @param {object}   config - ESDoc configuration.
+    * @param {object}   options - Optional parameters from plugin instance.
+    * @param {object}   jspmData - Parsed JSPM data from `packageParser`.
+    * @param {object}   packageGraph - Package graphs from `packageGraphParser`.
+    * @param {Logger}   log - Logger of the build.
+    */
+   static save(config, options, jspmData, packageGraph, log = new Logger(options))
+   {
+      const key = s_CREATE_KEY(config, options);
+
+      if (typeof key !== 'string') { return; }
+
+      const packageFiles = {};
+
+      for (const packageID in jspmData.normPackageDataAll)
+      {
+         const fullPath = jspmData.normPackageDataAll[packageID].fullPath;
+
+         packageFiles[path.relative(jspmData.rootPath, fullPath)] = s_HASH_PACKAGE_FILES(fullPath);
+      }
+
+      const cacheFile = s_GET_CACHE_FILE(config, options);
+
+      fs.outputFileSync(cacheFile, JSON.stringify({ version: s_CACHE_VERSION, key, packageFiles, jspmData,
+       packageGraph }));
+
+      log.info(`saved package data cache: '${cacheFile}'`);
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines the cache format version; any change to the cached data invalidates existing caches.
+ * @type {number}
+ */
+const s_CACHE_VERSION = 1;
+
+/**
+ * Defines the logging options which are not part of the cache key.
+ * @type {Array<string>}
+ */
+const s_LOG_OPTIONS = ['logFormat', 'logger', 'logLevel', 'silent', 'verbose'];
+
+/**
+ * Creates the cache key from the content hashes of the root `package.json`, the SystemJS / jspm config files, the
+ * plugin options and the ESDoc configuration entries which affect package resolution. Returns undefined if the root
+ * `package.json` can not be read.
+ *
+ * @param {object}   config - ESDoc configuration.
+ * @param {object}   options - Optional parameters from plugin instance.
+ *
+ * @returns {string|undefined}
+ */
+const s_CREATE_KEY = (config, options) =>
+{
+   const rootPath = resolveRootPath(config);
+   const packagePath = resolvePackagePath(config);
+
+   let packageJSON;
+   let packageObj;
+
+   try
+   {
+      packageJSON = fs.readFileSync(packagePath, 'utf-8');
+      packageObj = JSON.parse(packageJSON);
+   }
+   catch (err) { return void 0; }
+
+   const { configFiles } = resolveSystemConfig(rootPath, packageObj);
+
+   const hash = crypto.createHash('sha1');
+
+   // Logging options do not affect the cached data and a host logger may not be serializable.
+   hash.update(JSON.stringify({ rootPath, packagePath, options: _.omit(options, s_LOG_OPTIONS) }));
+   hash.update(packageJSON);
+
+   configFiles.forEach((configFile) => { hash.update(s_READ_FILE(path.resolve(rootPath, configFile))); });
+
+   return hash.digest('hex');
+};
+
+/**
+ * Returns the full path to the cache file.
+ *
+ * @param {object}   config - ESDoc configuration.
+ * @param {object}   options - Optional parameters from plugin instance.
+ *
+ * @returns {string}
+ */
+const s_GET_CACHE_FILE = (config, options) =>
+ path.resolve(resolveRootPath(config), options.cacheDirectory, 'package-data.json');
+
+/**
+ * Creates a content hash of all ESDoc config files and `package.json` in a JSPM package directory. Missing files are
+ * included, so that adding a config file also invalidates the cache.
+ *
+ * @param {string}   packageDir - Full path to JSPM package.
+ *
+ * @returns {string}
+ */
+const s_HASH_PACKAGE_FILES = (packageDir) =>
+{
+   const hash = crypto.createHash('sha1');
+
+   getESDocConfigFilenames().forEach((filename) =>
+   {
+      hash.update(`${filename}:`);
+      hash.update(s_READ_FILE(path.resolve(packageDir, filename)));
+   });
+
+   return hash.digest('hex');
+};
+
+/**
+ * Reads a file returning an empty string if it does not exist.
+ *
+ * @param {string}   filePath - Full path to file.
+ *
+ * @returns {string}
+ */
+const s_READ_FILE = (filePath) =>
+{
+   try { return fs.readFileSync(filePath, 'utf-8'); }
+   catch (err) { return ''; }
+};
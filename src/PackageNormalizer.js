@@ -0,0 +1,312 @@
+'use strict';
+
+import fs           from 'fs-extra';
+import path         from 'path';
+import url          from 'url';
+
+import Logger       from './Logger.js';
+import PluginError  from './PluginError.js';
+import Utils        from './Utils.js';
+
+import { ErrorCodes, PackageError }   from './PluginError.js';
+
+/**
+ * Provides normalization of JSPM packages against a SystemJS Loader.
+ *
+ * `parseNormalizedPackage` and `parseChildDependencies` are copied from `typhonjs-config-jspm-parse` 0.6.1
+ * (`src/JSPMParser.js`). The upstream functions hard code the `jspm_packages` directory and can not be configured, so
+ * they can not be used for projects which set a custom packages directory or `baseURL` in the `jspm.directories` entry
+ * of `package.json`. The copies resolve paths against the configured packages directory and additionally log through
+ * `Logger` and throw `PackageError`. Fixes to the upstream functions must be ported here by hand.
+ */
+export default class PackageNormalizer
+{
+   /**
+    * Provides a map of all child dependencies defined in the SystemJS config / `System.packages`. `System.packages`
+    * stores the mapped dependency paths by a `file://` reference, but the mapped paths for the package are desired
+    * IE `github:typhonjs/backbone-es6@master`.
+    *
+    * @param {object}   System - An instance of System or SystemJS Loader.
+    * @param {string}   packagesPath - Packages directory relative to the root path.
+    *
+    * @returns {{}}
+    */
+   static parseChildDependencies(System, packagesPath)
+   {
+      const childPackageMap = {};
+      const packagesDir = `${Utils.toPosixPath(packagesPath)}/`;
+
+      Object.keys(System.packages).forEach((key) =>
+      {
+         const index = key.lastIndexOf(packagesDir);
+
+         if (index < 0) { return; }
+
+         // Replace the first slash with ":" which conforms to the mapped path.
+         const actualKey = key.slice(index + packagesDir.length).replace('/', ':');
+
+         const packageMap = System.packages[key].map;
+
+         childPackageMap[actualKey] = typeof packageMap === 'object' ? Object.assign({}, packageMap) : {};
+      });
+
+      return childPackageMap;
+   }
+
+   /**
+    * Attempts to normalize and parse a packageName returning `null` if it is an invalid package or an object hash
+    * containing the parsed package details. Without an extra parser a package directory which does not exist or a
+    * `package.json` which can not be parsed is logged as a warning and `null` is returned. The extra parser links
+    * packages for ESDoc, so with an extra parser a `PackageError` is thrown for a package directory which does not
+    * exist (`ERR_PACKAGE_NOT_FOUND`) and for a `package.json` which can not be parsed (`ERR_PACKAGE_JSON_INVALID`) of a
+    * package accepted by the extra parser. Any `PluginError` thrown by the extra parser is rethrown.
+    *
+    * @param {object}   System       - SystemJS Loader instance
+    * @param {string}   packageName  - Package name to normalize & parse.
+    * @param {string}   rootPath     - Path to root of project.
+    * @param {string}   packagesPath - Packages directory relative to the root path.
+    * @param {Logger}   log          - Logger of the build.
+    * @param {function} extraParser  - An optional function to provide extra parsing to initial result generated.
+    *
+    * @returns {*}
+    */
+   static parseNormalizedPackage(System, packageName, rootPath, packagesPath, log = new Logger(),
+                                 extraParser = void 0)
+   {
+      let result = null;
+
+      // The normalized file URL from SystemJS Loader.
+      const normalized = System.normalizeSync(packageName);
+
+      // Any package name with an @ in the name is a dependent package like 'github:typhonjs/backbone-es6@master'.
+      const isDependency = packageName.indexOf('@') >= 0;
+
+      // Parse the file URL.
+      const parsedPath = path.parse(decodeURIComponent(url.parse(normalized).pathname));
+
+      // Relative path from the rootPath to the package directory.
+      const relativeDir = path.relative(rootPath, parsedPath.dir);
+
+      // Only process valid JSPM packages located in the packages directory.
+      if (relativeDir !== packagesPath && !relativeDir.startsWith(`${packagesPath}${path.sep}`))
+      {
+         log.warn(`skipping '${packageName}' as it does not appear to be a JSPM package.`, { packageName });
+
+         return result;
+      }
+
+      // Full path to the JSPM package
+      const fullPath = parsedPath.dir + path.sep + parsedPath.name;
+
+      // Relative path from the rootPath to the JSPM package.
+      const relativePath = relativeDir + path.sep + parsedPath.name;
+
+      try
+      {
+         const actualPackageName = parsedPath.name.split('@').shift();
+
+         // Verify that the full path to the JSPM package source exists.
+         let isDirectory = false;
+
+         try { isDirectory = fs.statSync(fullPath).isDirectory(); }
+         catch (err) { /* ... */ }
+
+         if (!isDirectory)
+         {
+            throw new PackageError(ErrorCodes.PACKAGE_NOT_FOUND, `full path generated '${fullPath}' does not exist`,
+             { file: fullPath, packageName });
+         }
+
+         result =
+         {
+            packageName: isDependency ? actualPackageName : packageName,
+            actualPackageName,
+            isDependency,
+            fullPath,
+            relativePath
+         };
+
+         // Parses relative path for additional data such as SCM type and version.
+         s_PARSE_RELATIVE_PATH(result, packagesPath);
+
+         // Parses package.json if available for any `main` entry point.
+         let packageJSONError;
+
+         try { s_PARSE_PACKAGE_JSON(result); }
+         catch (err)
+         {
+            if (!(err instanceof PackageError)) { throw err; }
+
+            packageJSONError = err;
+         }
+
+         // If a package is aliased the packageName is different than the actual package name.
+         result.isAlias = result.packageName !== actualPackageName;
+
+         // If an extra parser function is supplied then allow it to filter / extend result.
+         if (typeof extraParser === 'function') { result = extraParser(result, log); }
+
+         // An invalid `package.json` only fails packages which are accepted by the extra parser.
+         if (packageJSONError && result !== null) { throw packageJSONError; }
+      }
+      catch (err)
+      {
+         // Errors of broken packages from the extra parser are handled by the caller.
+         if (err instanceof PluginError && typeof extraParser === 'function') { throw err; }
+
+         log.warn(`${err.message} for JSPM package '${packageName}'`,
+          err instanceof PluginError ? err.toLogData() : { packageName });
+
+         result = null;
+      }
+
+      return result;
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Removes any leading local directory reference from a file name.
+ *
+ * @param {string}   filename - File name to process.
+ * @returns {string}
+ */
+const s_REMOVE_LOCAL_DIR = (filename) => filename.replace(/^\.[\\/]/, '');
+
+/**
+ * Parses any associated `package.json` for main entry points and repository data for JSPM / NPM packages. A
+ * `package.json` which exists, but can not be parsed throws a `PackageError`.
+ *
+ * @param {object}   result - Stores parsed package data.
+ */
+const s_PARSE_PACKAGE_JSON = (result) =>
+{
+   result.hasMainEntry = false;
+
+   const packagePath = `${result.fullPath}${path.sep}package.json`;
+
+   if (!fs.existsSync(packagePath)) { return; }
+
+   let packageObj;
+
+   try { packageObj = JSON.parse(fs.readFileSync(packagePath, 'utf-8')); }
+   catch (err)
+   {
+      throw new PackageError(ErrorCodes.PACKAGE_JSON_INVALID, `Could not parse '${packagePath}': ${err.message}`,
+       { file: packagePath, packageName: result.fullPackage || result.packageName, cause: err });
+   }
+
+   if (packageObj === null || typeof packageObj !== 'object')
+   {
+      throw new PackageError(ErrorCodes.PACKAGE_JSON_INVALID, `'${packagePath}' does not contain an object.`,
+       { file: packagePath, packageName: result.fullPackage || result.packageName });
+   }
+
+   let filename;
+
+   if (typeof packageObj.jspm === 'object' && typeof packageObj.jspm.main === 'string')
+   {
+      filename = s_REMOVE_LOCAL_DIR(packageObj.jspm.main);
+   }
+   else if (typeof packageObj.main === 'string')
+   {
+      filename = s_REMOVE_LOCAL_DIR(packageObj.main);
+   }
+
+   if (typeof filename === 'string')
+   {
+      result.hasMainEntry = true;
+      result.fullPathMain = result.fullPath + path.sep + filename;
+      result.relativePathMain = result.relativePath + path.sep + filename;
+   }
+
+   // Copy repository data
+   if (typeof packageObj.repository === 'object') { result.repository = packageObj.repository; }
+
+   if (result.packageType === 'npm')
+   {
+      // Parse any repository URL for specific SCM data; some NPM modules format the url link with `git://`.
+      if (result.repository && typeof result.repository.url === 'string' &&
+       (/^(https?|git):\/\/github.com\//).test(result.repository.url))
+      {
+         result.scmType = 'github';
+         result.scmLink =
+         {
+            type: 'github',
+            link: result.repository.url.replace(/^git:\/\//, 'https://').replace(/\.git$/, '')
+         };
+      }
+
+      // Check for default `index.js` for NPM packages as the main entry point.
+      if (!result.hasMainEntry && fs.existsSync(`${result.fullPath}${path.sep}index.js`))
+      {
+         result.hasMainEntry = true;
+         result.fullPathMain = `${result.fullPath}${path.sep}index.js`;
+         result.relativePathMain = `${result.relativePath}${path.sep}index.js`;
+      }
+   }
+};
+
+/**
+ * Parses the packages directory relative path for additional data about the package such as full package name,
+ * registry, SCM / package type, version and links. Packages from registries other than `github` and `npm` have
+ * `packageType` set to the registry name; `bitbucket` and `gitlab` packages also receive SCM data.
+ *
+ * @param {object}   result - Stores parsed package data.
+ * @param {string}   packagesPath - Packages directory relative to the root path.
+ */
+const s_PARSE_RELATIVE_PATH = (result, packagesPath) =>
+{
+   // IE `github/typhonjs/backbone-es6@master` or `npm/underscore@1.8.3`.
+   const packagePath = Utils.toPosixPath(path.relative(packagesPath, result.relativePath));
+
+   const values = (/^(.*)\/(.*)@(.*)$/).exec(packagePath);
+
+   if (values === null) { return; }
+
+   const registryPath = values[1].split('/');
+
+   // IE `github:typhonjs/backbone-es6@master`; set before any ESDoc source root is added to the relative path.
+   result.fullPackage = packagePath.replace('/', ':');
+   result.registry = registryPath[0];
+   result.version = values[3];
+
+   if (typeof s_SCM_HOSTS[result.registry] === 'string')
+   {
+      result.scmType = result.registry;
+      result.scmOwner = registryPath[1];
+
+      if (result.registry === 'github') { result.githubOwner = result.scmOwner; }
+
+      result.scmLink =
+      {
+         type: result.registry,
+         link: `${s_SCM_HOSTS[result.registry]}/${result.scmOwner}/${result.actualPackageName}`
+      };
+   }
+   else if (result.registry === 'npm')
+   {
+      result.packageType = 'npm';
+      result.packageLink =
+      {
+         type: 'npm',
+         link: `https://www.npmjs.com/package/${values[2]}`
+      };
+   }
+   else
+   {
+      result.packageType = result.registry;
+   }
+};
+
+/**
+ * Defines the hosts of SCM registries which are used to create `scmLink` entries.
+ * @type {{github: string, bitbucket: string, gitlab: string}}
+ */
+const s_SCM_HOSTS =
+{
+   github: 'https://github.com',
+   bitbucket: 'https://bitbucket.org',
+   gitlab: 'https://gitlab.com'
+};
@@ -0,0 +1,135 @@
+'use strict';
+
+/**
+ * Provides a prefix index of paths stored as a trie of path segments. Lookups walk the segments of a target path once
+ * and return the longest indexed prefix which ends on a segment boundary, so the cost of a lookup depends on the depth
+ * of the target path and not the amount of indexed paths.
+ *
+ * `plugin.js` builds a `PathIndex` of the relative paths of all JSPM packages once in `onHandleConfig` which is shared
+ * by tag association, HTML rewriting and search index rewriting.
+ */
+export default class PathIndex
+{
+   /**
+    * Creates an empty index.
+    *
+    * @param {string}   separator - Path separator of indexed and target paths.
+    */
+   constructor(separator = '/')
+   {
+      /**
+       * Path separator of indexed and target paths.
+       * @type {string}
+       */
+      this.separator = separator;
+
+      /**
+       * Root node of the trie.
+       * @type {{children: Map<string, object>, hasValue: boolean, value: *}}
+       */
+      this.root = s_CREATE_NODE();
+
+      /**
+       * Count of indexed paths.
+       * @type {number}
+       */
+      this.size = 0;
+   }
+
+   /**
+    * Finds the longest indexed prefix of a target path ending on a segment boundary.
+    *
+    * @param {string}   targetPath - Target path.
+    * @param {number}   start - Index in the target path where matching starts.
+    *
+    * @returns {{prefix: string, value: *, end: number}|undefined} The matched prefix, associated value and the index in
+    *                                                              the target path where the prefix ends.
+    */
+   find(targetPath, start = 0)
+   {
+      let node = this.root;
+      let position = start;
+      let match;
+
+      while (position <= targetPath.length)
+      {
+         const next = targetPath.indexOf(this.separator, position);
+         const end = next < 0 ? targetPath.length : next;
+
+         node = node.children.get(targetPath.slice(position, end));
+
+         if (!node) { break; }
+
+         if (node.hasValue) { match = { prefix: targetPath.slice(start, end), value: node.value, end }; }
+
+         if (next < 0) { break; }
+
+         position = next + this.separator.length;
+      }
+
+      return match;
+   }
+
+   /**
+    * Indexes a path with an associated value; any trailing separator is ignored and an existing value is replaced.
+    *
+    * @param {string}   prefixPath - Path to index.
+    * @param {*}        value - Associated value.
+    */
+   set(prefixPath, value)
+   {
+      let node = this.root;
+
+      for (const segment of s_SPLIT(prefixPath, this.separator))
+      {
+         if (!node.children.has(segment)) { node.children.set(segment, s_CREATE_NODE()); }
+
+         node = node.children.get(segment);
+      }
+
+      if (!node.hasValue) { this.size++; }
+
+      node.hasValue = true;
+      node.value = value;
+   }
+
+   /**
+    * Returns all indexed paths and values sorted by path.
+    *
+    * @returns {Array<{prefix: string, value: *}>}
+    */
+   entries()
+   {
+      const entries = [];
+
+      const traverse = (node, segments) =>
+      {
+         if (node.hasValue) { entries.push({ prefix: segments.join(this.separator), value: node.value }); }
+
+         node.children.forEach((child, segment) => { traverse(child, segments.concat([segment])); });
+      };
+
+      traverse(this.root, []);
+
+      return entries.sort((a, b) => a.prefix.localeCompare(b.prefix));
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Creates a trie node.
+ *
+ * @returns {{children: Map<string, object>, hasValue: boolean, value: *}}
+ */
+const s_CREATE_NODE = () => ({ children: new Map(), hasValue: false, value: void 0 });
+
+/**
+ * Splits a path into segments ignoring a trailing separator.
+ *
+ * @param {string}   value - Path to split.
+ * @param {string}   separator - Path separator.
+ * @returns {Array<string>}
+ */
+const s_SPLIT = (value, separator) =>
+ (value.endsWith(separator) ? value.slice(0, -separator.length) : value).split(separator);
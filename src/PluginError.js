@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * Provides the base error of the plugin. Each error has a stable `code` (see `ErrorCodes`) and where known the
+ * offending `file` and `packageName`, so that hosts may handle errors without parsing messages.
+ *
+ * - `ConfigError` - The root project can not be documented IE an unreadable `package.json` or a missing local source
+ *   root; always fails the build.
+ * - `PackageError` - A single JSPM package is broken IE a missing package directory, an invalid `package.json`, an ESDoc
+ *   config without a valid `source` entry or a source root that does not exist. With `option.strict` set to false the
+ *   package is logged and skipped instead.
+ * - `GraphError` - The package graphs are invalid IE dependency cycles with `option.failOnCycles` enabled.
+ *
+ * Babel does not support extending builtins like `Error` with `class ... extends`, so the prototype of `PluginError`
+ * extends `Error.prototype` directly which keeps `instanceof` checks of all error classes working.
+ */
+export default class PluginError
+{
+   /**
+    * Creates an error.
+    *
+    * @param {string}   code - Stable error code from `ErrorCodes`.
+    * @param {string}   message - Error message.
+    * @param {{file: string, packageName: string, cause: Error}}   [data] - The offending file, package and any
+    *                                                                  underlying error.
+    */
+   constructor(code, message, data = {})
+   {
+      /**
+       * Error class name.
+       * @type {string}
+       */
+      this.name = this.constructor.name;
+
+      /**
+       * Error message.
+       * @type {string}
+       */
+      this.message = message;
+
+      /**
+       * Stable error code.
+       * @type {string}
+       */
+      this.code = code;
+
+      /**
+       * The offending file if any.
+       * @type {string|undefined}
+       */
+      this.file = data.file;
+
+      /**
+       * The offending package if any.
+       * @type {string|undefined}
+       */
+      this.packageName = data.packageName;
+
+      /**
+       * The underlying error if any.
+       * @type {Error|undefined}
+       */
+      this.cause = data.cause;
+
+      Error.captureStackTrace(this, this.constructor);
+   }
+
+   /**
+    * Returns the error code, offending file and package which are added to log entries.
+    *
+    * @returns {{code: string, file: (string|undefined), packageName: (string|undefined)}}
+    */
+   toLogData()
+   {
+      return { code: this.code, file: this.file, packageName: this.packageName };
+   }
+}
+
+Object.setPrototypeOf(PluginError.prototype, Error.prototype);
+
+/**
+ * Error for a root project which can not be documented.
+ */
+export class ConfigError extends PluginError {}
+
+/**
+ * Error for a broken JSPM package.
+ */
+export class PackageError extends PluginError {}
+
+/**
+ * Error for invalid package graphs.
+ */
+export class GraphError extends PluginError {}
+
+/**
+ * Defines the stable error codes.
+ * @type {object}
+ */
+export const ErrorCodes = Object.freeze(
+{
+   DEPENDENCY_CYCLES: 'ERR_DEPENDENCY_CYCLES',
+   ESDOC_CONFIG_INVALID: 'ERR_ESDOC_CONFIG_INVALID',
+   INVALID_PACKAGE_PATTERN: 'ERR_INVALID_PACKAGE_PATTERN',
+   LOCAL_SOURCE_NOT_FOUND: 'ERR_LOCAL_SOURCE_NOT_FOUND',
+   PACKAGE_JSON_INVALID: 'ERR_PACKAGE_JSON_INVALID',
+   PACKAGE_JSON_NOT_FOUND: 'ERR_PACKAGE_JSON_NOT_FOUND',
+   PACKAGE_NOT_FOUND: 'ERR_PACKAGE_NOT_FOUND',
+   PACKAGE_SOURCE_MISSING: 'ERR_PACKAGE_SOURCE_MISSING',
+   PACKAGE_SOURCE_NOT_FOUND: 'ERR_PACKAGE_SOURCE_NOT_FOUND',
+   UNKNOWN_TOP_LEVEL_PACKAGE: 'ERR_UNKNOWN_TOP_LEVEL_PACKAGE'
+});
@@ -12,14 +12,52 @@ export default class Utils
     * Parses the relative path and returns a normalized full JSPM package representation
     *
     * @param {string}   path - JSPM relative package path.
+    * @param {string}   packagesPath - Packages directory relative to the root path.
     * @returns {string}
     */
-   static parseRelativePath(path)
+   static parseRelativePath(path, packagesPath = 'jspm_packages')
    {
-      const packagePath = path.replace('jspm_packages/', '');
+      const packagePath = Utils.toPosixPath(path).replace(`${Utils.toPosixPath(packagesPath)}/`, '');
       return packagePath.replace('/', ':');
    }
 
+   /**
+    * Creates a RegExp source matching a relative path literally where path separators match `/` and `\`, so that
+    * package names with `.`, `@` or `+` and version folders IE `@1.2.3` are never interpreted as RegExp syntax.
+    *
+    * @param {string}   value - Relative path.
+    * @returns {string}
+    */
+   static createPathPattern(value)
+   {
+      return Utils.toPosixPath(value).split('/').map((segment) => Utils.escapeRegExp(segment)).join('[\\\\/]');
+   }
+
+   /**
+    * Escapes all RegExp syntax characters of a value.
+    *
+    * @param {string}   value - Value to escape.
+    * @returns {string}
+    */
+   static escapeRegExp(value)
+   {
+      return value.replace(/[-[\]/{}()*+?.\\^$|]/g, '\\$&');
+   }
+
+   /**
+    * Normalizes a relative path to a POSIX path removing any leading `./` and trailing separators; `.` is normalized
+    * to an empty string.
+    *
+    * @param {string}   value - Relative path.
+    * @returns {string}
+    */
+   static normalizeRelativePath(value)
+   {
+      const normalized = Utils.toPosixPath(value).replace(/^(\.\/)+/, '').replace(/\/+$/, '');
+
+      return normalized === '.' ? '' : normalized;
+   }
+
    /**
     * Replaces semver and other special characters with `-`.
     *
@@ -30,4 +68,15 @@ export default class Utils
    {
       return value.replace(/(\.|\/|:|@|\^|>=|>|<=|<|~|\*)/gi, '-');
    }
-}
\ No newline at end of file
+
+   /**
+    * Converts any Windows path separators to POSIX separators.
+    *
+    * @param {string}   value - Path to convert.
+    * @returns {string}
+    */
+   static toPosixPath(value)
+   {
+      return value.replace(/\\/g, '/');
+   }
+}
@@ -0,0 +1,90 @@
+'use strict';
+
+import fs                        from 'fs-extra';
+import path                      from 'path';
+
+import pageWriter                from './pageWriter.js';
+
+import { serializePackageGraph } from './packageGraphWriter.js';
+
+/**
+ * Writes the "Dependencies" page `dependencies.html` to the docs destination. The page uses the layout of the
+ * generated `index.html` and draws the package graphs with the bundled, self-contained assets in
+ * `assets/dependencies` which are copied to `css/esdoc-plugin-jspm` and `script/esdoc-plugin-jspm`; no CDN is
+ * required. The graph data and the documented classes of each package are written to
+ * `script/esdoc-plugin-jspm/dependencies-data.js`. Packages present in more than one version in the selected scope are
+ * listed with the parents which pull in each version.
+ *
+ * @param {string}   docDestination - ESDoc destination directory.
+ * @param {object}   packageGraph - Package graphs from `packageGraphParser`.
+ * @param {object}   packageDocs - Documented identifiers `{kind, name, url}` keyed by package graph node ID.
+ */
+export default function dependenciesPage(docDestination, packageGraph, packageDocs)
+{
+   const scopes = {};
+   const classes = {};
+
+   for (const graphName in packageGraph)
+   {
+      // IE `packageGraphAll` -> `all`.
+      scopes[graphName.replace(/^packageGraph/, '').toLowerCase()] = serializePackageGraph(packageGraph[graphName]);
+   }
+
+   for (const nodeID in packageDocs)
+   {
+      classes[nodeID] = packageDocs[nodeID].filter((doc) => doc.kind === 'class').map((doc) =>
+       ({ name: doc.name, url: doc.url }));
+   }
+
+   fs.outputFileSync(path.join(docDestination, 'script', 'esdoc-plugin-jspm', 'dependencies-data.js'),
+    `window.esdocJSPMDependencies = ${JSON.stringify({ scopes, classes }, null, 2)};\n`);
+
+   fs.copySync(path.join(s_ASSET_PATH, 'dependencies.css'),
+    path.join(docDestination, 'css', 'esdoc-plugin-jspm', 'dependencies.css'));
+
+   fs.copySync(path.join(s_ASSET_PATH, 'dependencies.js'),
+    path.join(docDestination, 'script', 'esdoc-plugin-jspm', 'dependencies.js'));
+
+   pageWriter(docDestination, 'dependencies.html',
+   {
+      title: 'Dependencies',
+      content: s_CREATE_CONTENT(Object.keys(scopes)),
+      styles: ['css/esdoc-plugin-jspm/dependencies.css'],
+      scripts: ['script/esdoc-plugin-jspm/dependencies-data.js', 'script/esdoc-plugin-jspm/dependencies.js']
+   });
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines the path to the bundled dependencies page assets.
+ * @type {string}
+ */
+const s_ASSET_PATH = path.resolve(__dirname, '..', 'assets', 'dependencies');
+
+/**
+ * Creates the page content with the scope switch, depth filter, graph, package panel and duplicate packages section.
+ *
+ * @param {Array<string>}  scopes - Package graph scopes IE `all`, `main`, `dev`.
+ * @returns {string}
+ */
+const s_CREATE_CONTENT = (scopes) =>
+{
+   const options = scopes.map((scope) => `<option value="${scope}">${scope}</option>`).join('');
+
+   return `
+<div class="esdoc-jspm-dependencies">
+  <h1>Dependencies</h1>
+  <div class="controls">
+    <label>Scope<select class="scope">${options}</select></label>
+    <label>Depth<input class="depth" type="range" min="0" max="0" value="0"> <span class="depth-value"></span></label>
+  </div>
+  <div class="graph-container">
+    <svg class="graph" xmlns="http://www.w3.org/2000/svg"></svg>
+    <div class="package-panel"><p class="empty">Select a package to show its documented classes.</p></div>
+  </div>
+  <h2>Duplicate Packages</h2>
+  <div class="duplicates"></div>
+</div>
+`;
+};
@@ -0,0 +1,117 @@
+'use strict';
+
+import fs         from 'fs-extra';
+import path       from 'path';
+
+import { ConfigError, ErrorCodes, PackageError }  from './PluginError.js';
+
+/**
+ * Locates and loads an ESDoc configuration in the given directory. The following lookup order is used and the first
+ * configuration found is returned:
+ * - `.esdocrc` (JSON)
+ * - `esdoc.json` (JSON)
+ * - `.esdocrc.js` (module exporting the configuration)
+ * - `esdoc.config.js` (module exporting the configuration)
+ * - `esdoc` entry in `package.json`
+ *
+ * A file that exists, but can not be loaded or does not provide an object is never skipped; a `ConfigError` or for JSPM
+ * packages a `PackageError` with the code `ERR_ESDOC_CONFIG_INVALID` and the offending file is thrown instead. Only a
+ * `package.json` without an `esdoc` entry continues the lookup. Javascript modules are removed from the `require` cache
+ * before loading, so that consecutive builds in one process (IE a watch task) load the current configuration.
+ *
+ * Javascript modules are only loaded for the root project; loading them for JSPM packages would run third party code
+ * during a documentation build, so they are not inspected when `packageName` is defined.
+ *
+ * @param {string}   dirPath - Directory to search for an ESDoc configuration.
+ * @param {string}   [packageName] - The JSPM package located in the directory; any error is thrown as `PackageError`.
+ *
+ * @returns {{config: object, filename: string, filePath: string}|undefined} The loaded ESDoc config, the file name
+ *                                                                            used and the full path to the file.
+ */
+export default function esdocConfigLoader(dirPath, packageName = void 0)
+{
+   const isPackage = typeof packageName === 'string';
+   const ErrorClass = isPackage ? PackageError : ConfigError;
+
+   for (let cntr = 0; cntr < s_ESDOC_CONFIG_LOADERS.length; cntr++)
+   {
+      const loader = s_ESDOC_CONFIG_LOADERS[cntr];
+
+      if (isPackage && loader.isModule) { continue; }
+
+      const filePath = `${dirPath}${path.sep}${loader.filename}`;
+
+      if (!fs.existsSync(filePath)) { continue; }
+
+      let config;
+
+      try { config = loader.load(filePath); }
+      catch (err)
+      {
+         throw new ErrorClass(ErrorCodes.ESDOC_CONFIG_INVALID, `Could not load ESDoc config '${filePath}': ${err.message}`,
+          { file: filePath, packageName, cause: err });
+      }
+
+      if (config === void 0 && loader.isOptional) { continue; }
+
+      if (config === null || typeof config !== 'object')
+      {
+         throw new ErrorClass(ErrorCodes.ESDOC_CONFIG_INVALID, `ESDoc config '${filePath}' does not provide an object.`,
+          { file: filePath, packageName });
+      }
+
+      return { config, filename: loader.label || loader.filename, filePath };
+   }
+
+   return void 0;
+}
+
+/**
+ * Returns the file names inspected in lookup order when locating an ESDoc configuration in a directory.
+ *
+ * @returns {Array<string>}
+ */
+export function getESDocConfigFilenames()
+{
+   return s_ESDOC_CONFIG_LOADERS.map((loader) => loader.filename);
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Loads a JSON file.
+ *
+ * @param {string}   filePath - Full path to file.
+ * @returns {*}
+ */
+const s_LOAD_JSON = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+
+/**
+ * Loads a Javascript module bypassing the `require` cache; any ES module default export is unwrapped.
+ *
+ * @param {string}   filePath - Full path to file.
+ * @returns {*}
+ */
+const s_LOAD_MODULE = (filePath) =>
+{
+   const modulePath = require.resolve(path.resolve(filePath));
+
+   delete require.cache[modulePath];
+
+   const result = require(modulePath);
+   return result !== null && typeof result === 'object' && result.__esModule ? result.default : result;
+};
+
+/**
+ * Defines the supported ESDoc configuration file names in lookup order and how they are loaded.
+ * @type {Array<{filename: string, load: function, label: string, isModule: boolean, isOptional: boolean}>}
+ */
+const s_ESDOC_CONFIG_LOADERS =
+[
+   { filename: '.esdocrc', load: s_LOAD_JSON },
+   { filename: 'esdoc.json', load: s_LOAD_JSON },
+   { filename: '.esdocrc.js', load: s_LOAD_MODULE, isModule: true },
+   { filename: 'esdoc.config.js', load: s_LOAD_MODULE, isModule: true },
+   { filename: 'package.json', load: (filePath) => s_LOAD_JSON(filePath).esdoc, label: 'package.json (esdoc)',
+    isOptional: true }
+];
@@ -0,0 +1,147 @@
+'use strict';
+
+import fs         from 'fs-extra';
+import path       from 'path';
+import url        from 'url';
+
+/**
+ * Parses the SystemJS `paths` and `map` config for aliases which resolve to local source code of the project IE
+ * `"app/*": "src/*"` (jspm 0.16), `"app/": "src/"` (jspm 0.17) or a `map` entry such as `"utils": "src/utils"`.
+ *
+ * Registry paths (`npm:*`, `github:` etc.), `map` entries to registry packages or SystemJS modules (`@empty`) and any
+ * alias which resolves outside of the root path, to the jspm packages directory or to `node_modules` are skipped.
+ *
+ * Each alias is either a prefix alias which matches any import path starting with `name` or an exact alias which only
+ * matches an import path equal to `name`. `relativePath` is relative to the root path; prefix aliases end with the
+ * path separator. As SystemJS applies `defaultJSExtensions` to exact aliases `.js` is appended when the target only
+ * exists with this extension.
+ *
+ * @param {object}   System - An instance of System or SystemJS Loader.
+ * @param {string}   rootPath - Root path where the JSPM `package.json` is located.
+ * @param {object}   jspmDirectories - The jspm directories relative to the root path.
+ *
+ * @returns {Array<{name: string, type: string, isPrefix: boolean, relativePath: string}>}
+ */
+export default function localPathParser(System, rootPath, jspmDirectories)
+{
+   const localPathAliases = [];
+
+   const basePath = path.resolve(rootPath, jspmDirectories.baseURL);
+
+   // Resolves a SystemJS target to a path relative to the root path or undefined if it is not local source.
+   const resolveLocal = (target) =>
+   {
+      const fullPath = target.startsWith('file:') ? decodeURIComponent(url.parse(target).pathname) :
+       path.resolve(basePath, target);
+
+      const relativePath = path.relative(rootPath, fullPath);
+
+      return s_IS_LOCAL_PATH(relativePath, jspmDirectories.packages) ? relativePath : void 0;
+   };
+
+   // Adds a prefix alias.
+   const addPrefix = (name, target, type) =>
+   {
+      const relativePath = resolveLocal(target);
+
+      if (typeof relativePath === 'string' && relativePath !== '')
+      {
+         localPathAliases.push({ name, type, isPrefix: true, relativePath: `${relativePath}${path.sep}` });
+      }
+   };
+
+   // Adds an exact alias.
+   const addExact = (name, target, type) =>
+   {
+      let relativePath = resolveLocal(target);
+
+      if (typeof relativePath === 'string' && relativePath !== '')
+      {
+         const fullPath = path.resolve(rootPath, relativePath);
+
+         if (!s_IS_FILE(fullPath) && s_IS_FILE(`${fullPath}.js`)) { relativePath = `${relativePath}.js`; }
+
+         localPathAliases.push({ name, type, isPrefix: false, relativePath });
+      }
+   };
+
+   const paths = typeof System.paths === 'object' ? System.paths : {};
+
+   for (const key in paths)
+   {
+      const target = paths[key];
+
+      if (typeof target !== 'string' || s_REGISTRY_PREFIX.test(key)) { continue; }
+
+      if (key.endsWith('*'))
+      {
+         // Only trailing wildcards (`app/*` -> `src/*`) are supported.
+         if (target.indexOf('*') === target.length - 1) { addPrefix(key.slice(0, -1), target.slice(0, -1), 'path'); }
+      }
+      else if (key.endsWith('/'))
+      {
+         addPrefix(key, target, 'path');
+      }
+      else
+      {
+         addExact(key, target, 'path');
+      }
+   }
+
+   const map = typeof System.map === 'object' ? System.map : {};
+
+   for (const key in map)
+   {
+      const target = map[key];
+
+      // Only string entries which are not registry packages or SystemJS modules (`@empty`) may be local.
+      if (typeof target !== 'string' || target.startsWith('@') ||
+       (s_REGISTRY_PREFIX.test(target) && !target.startsWith('file:')))
+      {
+         continue;
+      }
+
+      addPrefix(`${key}/`, target, 'map');
+      addExact(key, target, 'map');
+   }
+
+   return localPathAliases;
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Matches a registry prefix IE `npm:` or `github:*`.
+ * @type {RegExp}
+ */
+const s_REGISTRY_PREFIX = /^[^/\\]+:/;
+
+/**
+ * Returns whether the given path exists and is a file.
+ *
+ * @param {string}   fullPath - Path to test.
+ * @returns {boolean}
+ */
+const s_IS_FILE = (fullPath) =>
+{
+   try { return fs.statSync(fullPath).isFile(); }
+   catch (err) { return false; }
+};
+
+/**
+ * Returns whether a path relative to the root path is local source code of the project.
+ *
+ * @param {string}   relativePath - Path relative to the root path.
+ * @param {string}   packagesPath - Packages directory relative to the root path.
+ * @returns {boolean}
+ */
+const s_IS_LOCAL_PATH = (relativePath, packagesPath) =>
+{
+   if (path.isAbsolute(relativePath) || relativePath === '..' || relativePath.startsWith(`..${path.sep}`))
+   {
+      return false;
+   }
+
+   return [packagesPath, 'node_modules'].every((dir) =>
+    relativePath !== dir && !relativePath.startsWith(`${dir}${path.sep}`));
+};
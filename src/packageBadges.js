@@ -0,0 +1,174 @@
+'use strict';
+
+import fs                           from 'fs-extra';
+import path                         from 'path';
+
+import Utils                        from './Utils.js';
+
+import { escapeHTML }               from './pageWriter.js';
+import { getPackagePageURL }        from './packagePages.js';
+
+/**
+ * Adds package origin badges to the generated HTML of identifier pages. A badge shows the package name, version,
+ * registry and alias of an identifier from a JSPM package and links to the package overview page and upstream
+ * repository. Class pages receive a badge below the class name and identifiers on the function / typedef pages below
+ * their detail heading. Ancestors from JSPM packages in the inheritance chain of a class are marked as external by a
+ * marker placed before the ancestor link, so that the inheritance chain markup of ESDoc is unchanged.
+ *
+ * Badges and markers are looked up in the index created once per build by `createPackageBadgeIndex`, so each page is
+ * only inspected for the identifiers documented on it.
+ *
+ * @param {string}   html - Generated HTML.
+ * @param {string}   fileName - File name of the HTML page relative to the docs destination.
+ * @param {{pages: Map<string, Array<{anchor: string, badge: string}>>, ancestors: Map<string, string>}} badgeIndex -
+ *        Badges keyed by page URL and external ancestor markers keyed by class page URL.
+ *
+ * @returns {string}
+ */
+export default function packageBadges(html, fileName, badgeIndex)
+{
+   const badges = badgeIndex.pages.get(Utils.toPosixPath(fileName)) || [];
+
+   badges.forEach((entry) =>
+   {
+      if (entry.anchor)
+      {
+         const heading = new RegExp(
+          `(<h3 data-ice="anchor" id="${Utils.escapeRegExp(entry.anchor)}">[\\s\\S]*?</h3>)`);
+
+         html = html.replace(heading, (match) => `${match}\n  ${entry.badge}`);
+      }
+      else
+      {
+         html = html.replace(/(<h1 data-ice="name">[^<]*<\/h1>)/, (heading) => `${heading}\n  ${entry.badge}`);
+      }
+   });
+
+   let marked = false;
+
+   // Mark external ancestors in the inheritance chain.
+   if (badgeIndex.ancestors.size > 0)
+   {
+      html = html.replace(/<div class="flat-list" data-ice="extendsChain">[\s\S]*?<\/div><\/div>/, (chain) =>
+       chain.replace(/<a href="([^"]*)">/g, (link, href) =>
+       {
+          const marker = badgeIndex.ancestors.get(href);
+
+          if (!marker) { return link; }
+
+          marked = true;
+
+          return `${marker}${link}`;
+       }));
+   }
+
+   if (badges.length > 0 || marked)
+   {
+      html = html.replace('</head>',
+       '  <link type="text/css" rel="stylesheet" href="css/esdoc-plugin-jspm/package-badge.css">\n</head>');
+   }
+
+   return html;
+}
+
+/**
+ * Creates the index of package origin badges keyed by page URL and external ancestor markers keyed by class page URL
+ * from the documented identifiers of all JSPM packages.
+ *
+ * @param {object}   packageDocs - Documented identifiers `{kind, name, url}` keyed by package graph node ID.
+ * @param {object}   normPackageDataAll - Normalized package data for all JSPM managed packages.
+ * @param {boolean}  linkPackagePages - When true badges link to the package overview pages.
+ *
+ * @returns {{pages: Map<string, Array<{anchor: string, badge: string}>>, ancestors: Map<string, string>}}
+ */
+export function createPackageBadgeIndex(packageDocs, normPackageDataAll, linkPackagePages)
+{
+   const pages = new Map();
+   const ancestors = new Map();
+
+   for (const packageID in packageDocs)
+   {
+      const packageData = normPackageDataAll[packageID];
+
+      if (!packageData) { continue; }
+
+      const badge = s_CREATE_BADGE(packageID, packageData, linkPackagePages);
+
+      packageDocs[packageID].forEach((doc) =>
+      {
+         const [url, anchor] = doc.url.split('#');
+
+         if (doc.kind === 'class') { ancestors.set(doc.url, s_CREATE_EXTERNAL_MARKER(packageData)); }
+
+         if (!pages.has(url)) { pages.set(url, []); }
+
+         pages.get(url).push({ anchor, badge });
+      });
+   }
+
+   return { pages, ancestors };
+}
+
+/**
+ * Copies the package badge style sheet to `css/esdoc-plugin-jspm` in the docs destination.
+ *
+ * @param {string}   docDestination - ESDoc destination directory.
+ */
+export function copyPackageBadgeAssets(docDestination)
+{
+   fs.copySync(path.join(s_ASSET_PATH, 'package-badge.css'),
+    path.join(docDestination, 'css', 'esdoc-plugin-jspm', 'package-badge.css'));
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines the path to the bundled package badge assets.
+ * @type {string}
+ */
+const s_ASSET_PATH = path.resolve(__dirname, '..', 'assets', 'package');
+
+/**
+ * Creates a package origin badge.
+ *
+ * @param {string}   packageID - Sanitized package ID.
+ * @param {object}   packageData - Normalized package data.
+ * @param {boolean}  linkPackagePages - When true the badge links to the package overview page.
+ * @returns {string}
+ */
+const s_CREATE_BADGE = (packageID, packageData, linkPackagePages) =>
+{
+   const name = escapeHTML(packageData.packageName);
+
+   const entries =
+   [
+      linkPackagePages ? `<a class="package-name" href="${getPackagePageURL(packageID)}">${name}</a>` :
+       `<span class="package-name">${name}</span>`,
+      `<span class="package-version">${escapeHTML(packageData.version)}</span>`,
+      `<span class="package-registry">${escapeHTML(packageData.registry)}</span>`
+   ];
+
+   if (packageData.isAlias)
+   {
+      entries.push(`<span class="package-alias">alias of ${escapeHTML(packageData.actualPackageName)}</span>`);
+   }
+
+   const repoLink = packageData.scmLink || packageData.packageLink;
+
+   if (repoLink)
+   {
+      entries.push(`<a class="package-repo" href="${escapeHTML(repoLink.link)}">${escapeHTML(repoLink.type)}</a>`);
+   }
+
+   return `<div class="esdoc-jspm-package-badge">${entries.join('')}</div>`;
+};
+
+/**
+ * Creates a marker for an ancestor from a JSPM package in an inheritance chain.
+ *
+ * @param {object}   packageData - Normalized package data.
+ * @returns {string}
+ */
+const s_CREATE_EXTERNAL_MARKER = (packageData) =>
+ `<span class="esdoc-jspm-external" title="${escapeHTML(`${packageData.packageName} ${packageData.version}`)}">`
+  + `${escapeHTML(packageData.packageName)}</span>`;
@@ -0,0 +1,149 @@
+'use strict';
+
+import fs                           from 'fs-extra';
+import path                         from 'path';
+
+import pageWriter, { escapeHTML }   from './pageWriter.js';
+
+import { serializePackageGraph }    from './packageGraphWriter.js';
+
+/**
+ * Writes the documentation coverage of the local project and each linked JSPM package to
+ * `coverage-packages.json` and the "Coverage" page `package/coverage.html` in the docs destination. ESDoc only writes
+ * the overall coverage of all sources in the build; the counts here are gathered in `onHandleTag` from the same
+ * identifier kinds ESDoc counts and are split by the package graph node ID of the associated package. Coverage figures
+ * use the format of the ESDoc `coverage.json`.
+ *
+ * When `writeBadges` is enabled a coverage badge in the style of the ESDoc badge is written for each package to
+ * `badge/package/<package ID>.svg` and shown on the "Coverage" page.
+ *
+ * @param {string}   docDestination - ESDoc destination directory.
+ * @param {object}   packageGraph - Package graphs from `packageGraphParser`.
+ * @param {object}   coverageCounts - Coverage counts `{expectCount, actualCount}` keyed by package graph node ID.
+ * @param {boolean}  writeBadges - When true a coverage badge is written for each package.
+ *
+ * @returns {{coverage: string, expectCount: number, actualCount: number, packages: Array<object>}}
+ */
+export default function packageCoverage(docDestination, packageGraph, coverageCounts, writeBadges)
+{
+   const graph = serializePackageGraph(packageGraph.packageGraphAll);
+
+   const rootNodeID = graph.nodes.length ? graph.nodes[0].id : void 0;
+
+   const nodeMap = {};
+
+   graph.nodes.forEach((node) => { nodeMap[node.id] = node; });
+
+   const packages = Object.keys(coverageCounts).map((packageID) =>
+   {
+      const node = nodeMap[packageID] || { name: packageID, version: '' };
+      const { expectCount, actualCount } = coverageCounts[packageID];
+
+      const entry =
+      {
+         id: packageID,
+         name: node.name,
+         version: node.version,
+         isLocal: packageID === rootNodeID,
+         coverage: s_FORMAT_COVERAGE(expectCount, actualCount),
+         expectCount,
+         actualCount
+      };
+
+      if (writeBadges)
+      {
+         entry.badge = `badge/package/${packageID}.svg`;
+
+         fs.outputFileSync(path.join(docDestination, entry.badge), s_CREATE_BADGE(expectCount, actualCount));
+      }
+
+      return entry;
+   });
+
+   // The local project is listed first followed by all packages sorted by name.
+   packages.sort((a, b) => (b.isLocal - a.isLocal) || a.name.localeCompare(b.name));
+
+   const expectCount = packages.reduce((count, entry) => count + entry.expectCount, 0);
+   const actualCount = packages.reduce((count, entry) => count + entry.actualCount, 0);
+
+   const report = { coverage: s_FORMAT_COVERAGE(expectCount, actualCount), expectCount, actualCount, packages };
+
+   fs.outputFileSync(path.join(docDestination, 'coverage-packages.json'), JSON.stringify(report, null, 2));
+
+   pageWriter(docDestination, 'package/coverage.html',
+   {
+      title: 'Coverage',
+      content: s_CREATE_CONTENT(report, writeBadges)
+   });
+
+   return report;
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines the path to the bundled badge template which matches the ESDoc coverage badge.
+ * @type {string}
+ */
+const s_BADGE_TEMPLATE_PATH = path.resolve(__dirname, '..', 'assets', 'badge', 'coverage-badge.svg');
+
+/**
+ * Creates a coverage badge with the colors of the ESDoc coverage badge.
+ *
+ * @param {number}   expectCount - Count of identifiers which should be documented.
+ * @param {number}   actualCount - Count of documented identifiers.
+ * @returns {string}
+ */
+const s_CREATE_BADGE = (expectCount, actualCount) =>
+{
+   const ratio = expectCount > 0 ? Math.floor(100 * actualCount / expectCount) : 100;
+
+   let color;
+
+   if (ratio < 50) { color = '#db654f'; }
+   else if (ratio < 90) { color = '#dab226'; }
+   else { color = '#4fc921'; }
+
+   return fs.readFileSync(s_BADGE_TEMPLATE_PATH, 'utf-8').replace(/@ratio@/g, `${ratio}%`).replace(/@color@/g, color);
+};
+
+/**
+ * Creates the page content with a table listing the coverage of the local project and each package.
+ *
+ * @param {object}   report - Coverage report.
+ * @param {boolean}  showBadges - When true the coverage badge of each package is shown.
+ * @returns {string}
+ */
+const s_CREATE_CONTENT = (report, showBadges) =>
+{
+   const rows = report.packages.map((entry) =>
+    `    <tr><td>${escapeHTML(entry.name)}${entry.isLocal ? ' (local)' : ''}</td>`
+     + `<td>${escapeHTML(entry.version)}</td><td>${entry.coverage}</td>`
+      + `<td>${entry.actualCount}/${entry.expectCount}</td>${showBadges ? `<td><img src="${entry.badge}"></td>` : ''}`
+       + '</tr>').join('\n');
+
+   return `
+<div class="esdoc-jspm-coverage">
+  <h1>Coverage</h1>
+  <table class="summary">
+    <thead><tr><td>Package</td><td>Version</td><td>Coverage</td><td>Documented</td>${
+     showBadges ? '<td>Badge</td>' : ''}</tr></thead>
+    <tbody>
+${rows}
+    </tbody>
+    <tfoot><tr><td>Total</td><td></td><td>${report.coverage}</td><td>${report.actualCount}/${report.expectCount}</td>${
+     showBadges ? '<td></td>' : ''}</tr></tfoot>
+  </table>
+</div>
+`;
+};
+
+/**
+ * Formats a coverage percentage like the ESDoc `coverage.json`.
+ *
+ * @param {number}   expectCount - Count of identifiers which should be documented.
+ * @param {number}   actualCount - Count of documented identifiers.
+ * @returns {string}
+ */
+const s_FORMAT_COVERAGE = (expectCount, actualCount) =>
+ `${expectCount > 0 ? Math.floor(10000 * actualCount / expectCount) / 100 : 100}%`;
@@ -0,0 +1,166 @@
+'use strict';
+
+import { ConfigError, ErrorCodes }  from './PluginError.js';
+
+/**
+ * Creates a package filter from the `includePackages` / `excludePackages` options. Each option is an array of
+ * patterns; a pattern is either:
+ *
+ * - a glob string (`*` matches any characters, `?` matches one character) IE `backbone-*` or `npm:*`,
+ * - a string in RegExp literal form IE `/^backbone-/i`,
+ * - an object with one or more of `name`, `registry` and `version` glob / RegExp literal strings which all must match
+ *   IE `{ "registry": "npm", "version": "0.*" }`.
+ *
+ * ESDoc copies plugin options through JSON, so RegExp instances arrive as empty objects; any pattern which is not a
+ * string or an object with only the above entries throws a `ConfigError` with the code `ERR_INVALID_PACKAGE_PATTERN`
+ * rather than matching every package.
+ *
+ * Glob / RegExp patterns match the package name (or alias), the actual package name or the full package name IE
+ * `npm:underscore@1.8.3`. When `includePackages` has entries only matching packages are linked and any package matching
+ * `excludePackages` is skipped.
+ *
+ * The returned function accepts the package name and full package name and returns the reason a package is filtered
+ * or undefined if the package is not filtered.
+ *
+ * @param {object}   options - Optional parameters from plugin instance.
+ *
+ * @returns {function(string, string): string|undefined}
+ */
+export default function createPackageFilter(options)
+{
+   const includePatterns = s_PARSE_PATTERNS(options.includePackages);
+   const excludePatterns = s_PARSE_PATTERNS(options.excludePackages);
+
+   return (packageName, fullPackage) =>
+   {
+      const target = s_CREATE_TARGET(packageName, fullPackage);
+
+      if (includePatterns.length > 0 && !includePatterns.some((pattern) => s_IS_MATCH(pattern, target)))
+      {
+         return 'not matched by the `includePackages` option';
+      }
+
+      if (excludePatterns.some((pattern) => s_IS_MATCH(pattern, target)))
+      {
+         return 'matched by the `excludePackages` option';
+      }
+
+      return void 0;
+   };
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Creates the match target of a package with all names, registry and version.
+ *
+ * @param {string}   packageName - Package name or alias; may be undefined for child packages.
+ * @param {string}   fullPackage - Full package name IE `github:typhonjs/backbone-es6@master`.
+ *
+ * @returns {{names: string[], fullPackage: string, registry: string, version: string}}
+ */
+const s_CREATE_TARGET = (packageName, fullPackage) =>
+{
+   const values = (/^([^:]+):(.+)@([^@]+)$/).exec(fullPackage) || [];
+
+   const registry = values[1] || '';
+   const packagePath = values[2] || '';
+
+   // The actual package name of registries other than `npm` is the last path segment IE `typhonjs/backbone-es6`.
+   const actualName = registry === 'npm' ? packagePath : packagePath.split('/').pop();
+
+   const names = [packageName, actualName, packagePath].filter((name, index, array) =>
+    typeof name === 'string' && name !== '' && array.indexOf(name) === index);
+
+   return { names, fullPackage, registry, version: values[3] || '' };
+};
+
+/**
+ * Returns whether a parsed pattern matches a package target.
+ *
+ * @param {RegExp|object}  pattern - Parsed pattern.
+ * @param {object}         target - Package target from `s_CREATE_TARGET`.
+ *
+ * @returns {boolean}
+ */
+const s_IS_MATCH = (pattern, target) =>
+{
+   if (pattern instanceof RegExp)
+   {
+      return target.names.some((name) => pattern.test(name)) || pattern.test(target.fullPackage);
+   }
+
+   return (!pattern.name || target.names.some((name) => pattern.name.test(name))) &&
+    (!pattern.registry || pattern.registry.test(target.registry)) &&
+     (!pattern.version || pattern.version.test(target.version));
+};
+
+/**
+ * Converts a glob string or RegExp literal string to a RegExp.
+ *
+ * @param {string}   pattern - Pattern to convert.
+ *
+ * @returns {RegExp}
+ */
+const s_PARSE_PATTERN = (pattern) =>
+{
+   if (typeof pattern !== 'string' || pattern === '')
+   {
+      throw new ConfigError(ErrorCodes.INVALID_PACKAGE_PATTERN, `invalid package pattern: ${JSON.stringify(pattern)}`);
+   }
+
+   const literal = (/^\/(.+)\/([gimuy]*)$/).exec(pattern);
+
+   if (literal !== null) { return new RegExp(literal[1], literal[2].replace('g', '')); }
+
+   const source = pattern.split('').map((char) =>
+   {
+      if (char === '*') { return '.*'; }
+      if (char === '?') { return '.'; }
+
+      return char.replace(/[-[\]/{}()+.\\^$|]/, '\\$&');
+   }).join('');
+
+   return new RegExp(`^${source}$`);
+};
+
+/**
+ * Parses the patterns of the `includePackages` / `excludePackages` options.
+ *
+ * @param {Array<string|object>}   patterns - Patterns to parse.
+ *
+ * @returns {Array<RegExp|{name: RegExp, registry: RegExp, version: RegExp}>}
+ */
+const s_PARSE_PATTERNS = (patterns) =>
+{
+   if (!Array.isArray(patterns)) { return []; }
+
+   return patterns.map((pattern) =>
+   {
+      if (pattern !== null && typeof pattern === 'object')
+      {
+         // An empty object IE a RegExp copied through JSON or unknown entries would otherwise match every package.
+         const keys = Object.keys(pattern);
+
+         if (keys.length === 0 || keys.some((key) => s_OBJECT_PATTERN_KEYS.indexOf(key) < 0))
+         {
+            throw new ConfigError(ErrorCodes.INVALID_PACKAGE_PATTERN, `invalid package pattern: ${JSON.stringify(pattern)}`
+             + `; an object pattern requires one or more of 'name', 'registry' or 'version' and no other entries`);
+         }
+
+         return {
+            name: typeof pattern.name !== 'undefined' ? s_PARSE_PATTERN(pattern.name) : void 0,
+            registry: typeof pattern.registry !== 'undefined' ? s_PARSE_PATTERN(pattern.registry) : void 0,
+            version: typeof pattern.version !== 'undefined' ? s_PARSE_PATTERN(pattern.version) : void 0
+         };
+      }
+
+      return s_PARSE_PATTERN(pattern);
+   });
+};
+
+/**
+ * Defines the entries of object patterns.
+ * @type {string[]}
+ */
+const s_OBJECT_PATTERN_KEYS = ['name', 'registry', 'version'];
@@ -1,28 +1,54 @@
-import _       from 'underscore';
+import _                   from 'underscore';
 
-import Utils   from './Utils.js';
+import Logger              from './Logger.js';
+import createPackageFilter from './packageFilter.js';
+import Utils               from './Utils.js';
 
-const packageLinksAll = [];
-const packageLinksDev = [];
-const packageLinksMain = [];
-
-const packageNodesAll = [];
-const packageNodesDev = [];
-const packageNodesMain = [];
-
-const packageNodeMapAll = new Map();
-const packageNodeMapDev = new Map();
-const packageNodeMapMain = new Map();
+import { ErrorCodes, GraphError }   from './PluginError.js';
 
 /**
  * Creates a graph of JSPM package dependencies outputting a hash including max depth level and arrays of nodes / links.
+ * All graph state is local to each invocation; the graphs are returned and exported to
+ * `global.$$esdoc_plugin_jspm_package_graph`.
+ *
+ * Dependency cycles are detected for each graph as strongly connected components and stored in `cycles` as an array
+ * of node ID arrays; a package which depends on itself is also a cycle.
+ *
+ * Each node has `isDocumented` set when the package is ESDoc linked; packages which are not linked IE beyond the
+ * `maxDepth` option are undocumented external references.
  *
- * @param {object}   options -
+ * Packages which are present in more than one version are stored in `duplicates` grouped by registry and actual
+ * package name listing each version with the node ID and the node IDs of the parents which pull in the version.
+ *
+ * @param {object}   options - Optional parameters from plugin instance.
+ * @param {object}   jspmData - Parsed JSPM data from `packageParser`; defaults to `global.$$esdoc_plugin_jspm`.
+ * @param {Logger}   log - Logger of the build; graph construction is logged at the `debug` and `trace` levels.
+ *
+ * @returns {{packageGraphAll: object, packageGraphDev: object, packageGraphMain: object, packageGraphPeer: object}}
  */
-export default function packageGraphParser(options)
+export default function packageGraphParser(options, jspmData = global.$$esdoc_plugin_jspm, log = new Logger(options))
 {
-   const { jspmDevPackageMap, jspmPackageMap, normPackageDataAll, rootPackageName, topLevelPackages } =
-    global.$$esdoc_plugin_jspm;
+   const { jspmDevPackageMap, jspmPackageMap, jspmPeerPackageMap, normPackageDataAll, rootPackageName,
+    topLevelPackages } = jspmData;
+
+   const packageLinksAll = [];
+   const packageLinksDev = [];
+   const packageLinksMain = [];
+   const packageLinksPeer = [];
+
+   const packageNodesAll = [];
+   const packageNodesDev = [];
+   const packageNodesMain = [];
+   const packageNodesPeer = [];
+
+   const packageNodeMapAll = new Map();
+   const packageNodeMapDev = new Map();
+   const packageNodeMapMain = new Map();
+   const packageNodeMapPeer = new Map();
+
+   // Filters child packages by the `includePackages` / `excludePackages` options; top level packages are filtered by
+   // `packageParser`.
+   const packageFilter = createPackageFilter(options);
 
    let currentDepth = 0;
 
@@ -54,6 +80,11 @@ export default function packageGraphParser(options)
       packageNodesDev.push(object);
       packageNodeMapDev.set(objectID, object);
 
+      index = packageNodesPeer.length;
+      object = { id: objectID, minLevel: currentDepth, packageScope: 'peer', packageData, fixed: false, index };
+      packageNodesPeer.push(object);
+      packageNodeMapPeer.set(objectID, object);
+
       currentDepth++;
    }
 
@@ -64,22 +95,24 @@ export default function packageGraphParser(options)
       const objectID = Utils.sanitizePackageID(fullPackage);
       const packageData = normPackageDataAll[objectID];
 
-      s_CORRECT_ALIASED_NAME(objectID, key);
+      s_CORRECT_ALIASED_NAME(jspmData, objectID, key);
 
-      if (typeof jspmPackageMap[key] === 'undefined' && typeof jspmDevPackageMap[key] === 'undefined')
+      if (typeof jspmPackageMap[key] === 'undefined' && typeof jspmDevPackageMap[key] === 'undefined' &&
+       typeof jspmPeerPackageMap[key] === 'undefined')
       {
-         throw new Error(`esdoc-plugin-dependency-graphs: unknown top level package: ${key}`);
+         throw new GraphError(ErrorCodes.UNKNOWN_TOP_LEVEL_PACKAGE,
+          `esdoc-plugin-jspm: unknown top level package: ${key}`, { packageName: key });
       }
 
       let index = packageNodesAll.length;
-      let object = { id: objectID, minLevel: currentDepth, packageScope: 'all', packageData, fixed: false, index };
+      let object = { id: objectID, minLevel: currentDepth, fullPackage, packageScope: 'all', packageData,
+       fixed: false, index };
 
       if (!packageNodeMapAll.has(objectID))
       {
-         if (options.verbose)
+         if (log.isEnabled('trace'))
          {
-            console.log(
-             `esdoc-plugin-jspm: packageGraphParser - adding top level (all) node: ${JSON.stringify(object)}`);
+            log.trace(`packageGraphParser - adding top level (all) node: ${JSON.stringify(object)}`);
          }
          packageNodesAll.push(object);
          packageNodeMapAll.set(objectID, object);
@@ -91,14 +124,14 @@ export default function packageGraphParser(options)
       if (typeof jspmPackageMap[key] !== 'undefined')
       {
          index = packageNodesMain.length;
-         object = { id: objectID, minLevel: currentDepth, packageScope: 'main', packageData, fixed: false, index };
+         object = { id: objectID, minLevel: currentDepth, fullPackage, packageScope: 'main', packageData,
+          fixed: false, index };
 
          if (!packageNodeMapMain.has(objectID))
          {
-            if (options.verbose)
+            if (log.isEnabled('trace'))
             {
-               console.log(
-                `esdoc-plugin-jspm: packageGraphParser - adding top level (dev) node: ${JSON.stringify(object)}`);
+               log.trace(`packageGraphParser - adding top level (dev) node: ${JSON.stringify(object)}`);
             }
 
             packageNodesMain.push(object);
@@ -112,14 +145,14 @@ export default function packageGraphParser(options)
       if (typeof jspmDevPackageMap[key] !== 'undefined')
       {
          index = packageNodesDev.length;
-         object = { id: objectID, minLevel: currentDepth, packageScope: 'dev', packageData, fixed: false, index };
+         object = { id: objectID, minLevel: currentDepth, fullPackage, packageScope: 'dev', packageData,
+          fixed: false, index };
 
          if (!packageNodeMapDev.has(objectID))
          {
-            if (options.verbose)
+            if (log.isEnabled('trace'))
             {
-               console.log(
-                `esdoc-plugin-jspm: packageGraphParser - adding top level (main) node: ${JSON.stringify(object)}`);
+               log.trace(`packageGraphParser - adding top level (main) node: ${JSON.stringify(object)}`);
             }
 
             packageNodesDev.push(object);
@@ -129,49 +162,69 @@ export default function packageGraphParser(options)
             if (currentDepth > 0) { packageLinksDev.push({ source: 0, target: index, minLevel: currentDepth }); }
          }
       }
-   }
 
-   if (options.verbose)
-   {
-      console.log('esdoc-plugin-jspm: packageGraphParser --- parsing top level all dependencies');
+      if (typeof jspmPeerPackageMap[key] !== 'undefined')
+      {
+         index = packageNodesPeer.length;
+         object = { id: objectID, minLevel: currentDepth, fullPackage, packageScope: 'peer', packageData,
+          fixed: false, index };
+
+         if (!packageNodeMapPeer.has(objectID))
+         {
+            if (log.isEnabled('trace'))
+            {
+               log.trace(`packageGraphParser - adding top level (peer) node: ${JSON.stringify(object)}`);
+            }
+
+            packageNodesPeer.push(object);
+            packageNodeMapPeer.set(objectID, object);
+
+            // If currentDepth is greater than 0 then there is a top level root node, so add a link.
+            if (currentDepth > 0) { packageLinksPeer.push({ source: 0, target: index, minLevel: currentDepth }); }
+         }
+      }
    }
 
+   log.debug('packageGraphParser - parsing top level all dependencies');
+
    currentDepth++;
 
    // Recursively parse all dependencies
    s_DEPTH_TRAVERSAL_NODES(_.clone(packageNodesAll), packageNodesAll, packageNodeMapAll, packageLinksAll, 'all',
-    currentDepth, options);
+    currentDepth, jspmData, log, packageFilter);
 
-   if (options.verbose)
-   {
-      console.log('esdoc-plugin-jspm: packageGraphParser --- parsing top level dev dependencies');
-   }
+   log.debug('packageGraphParser - parsing top level dev dependencies');
 
    // Recursively parse dev dependencies
    s_DEPTH_TRAVERSAL_NODES(_.clone(packageNodesDev), packageNodesDev, packageNodeMapDev, packageLinksDev, 'dev',
-    currentDepth, options);
+    currentDepth, jspmData, log, packageFilter);
 
-   if (options.verbose)
-   {
-      console.log('esdoc-plugin-jspm: packageGraphParser --- parsing top level main dependencies');
-   }
+   log.debug('packageGraphParser - parsing top level main dependencies');
 
    // Recursively parse main dependencies
    s_DEPTH_TRAVERSAL_NODES(_.clone(packageNodesMain), packageNodesMain, packageNodeMapMain, packageLinksMain, 'main',
-    currentDepth, options);
+    currentDepth, jspmData, log, packageFilter);
+
+   log.debug('packageGraphParser - parsing top level peer dependencies');
+
+   // Recursively parse peer dependencies
+   s_DEPTH_TRAVERSAL_NODES(_.clone(packageNodesPeer), packageNodesPeer, packageNodeMapPeer, packageLinksPeer, 'peer',
+    currentDepth, jspmData, log, packageFilter);
 
-   global.$$esdoc_plugin_jspm_package_graph = {};
+   const packageGraph = {};
 
    // Determine max package level for `all` category.
    let maxPackageLevel = 0;
    packageNodesAll.forEach((node) => { if (node.minLevel > maxPackageLevel) { maxPackageLevel = node.minLevel; } });
    packageLinksAll.forEach((link) => { if (link.minLevel > maxPackageLevel) { maxPackageLevel = link.minLevel; } });
 
-   global.$$esdoc_plugin_jspm_package_graph.packageGraphAll =
+   packageGraph.packageGraphAll =
    {
       maxLevel: maxPackageLevel,
       nodes: packageNodesAll,
-      links: packageLinksAll
+      links: packageLinksAll,
+      cycles: s_FIND_CYCLES(packageNodesAll, packageLinksAll),
+      duplicates: s_FIND_DUPLICATES(packageNodesAll, packageLinksAll)
    };
 
    // Determine max package level for `dev` category.
@@ -179,11 +232,13 @@ export default function packageGraphParser(options)
    packageNodesDev.forEach((node) => { if (node.minLevel > maxPackageLevel) { maxPackageLevel = node.minLevel; } });
    packageLinksDev.forEach((link) => { if (link.minLevel > maxPackageLevel) { maxPackageLevel = link.minLevel; } });
 
-   global.$$esdoc_plugin_jspm_package_graph.packageGraphDev =
+   packageGraph.packageGraphDev =
    {
       maxLevel: maxPackageLevel,
       nodes: packageNodesDev,
-      links: packageLinksDev
+      links: packageLinksDev,
+      cycles: s_FIND_CYCLES(packageNodesDev, packageLinksDev),
+      duplicates: s_FIND_DUPLICATES(packageNodesDev, packageLinksDev)
    };
 
    // Determine max package level for `main` category.
@@ -191,19 +246,53 @@ export default function packageGraphParser(options)
    packageNodesMain.forEach((node) => { if (node.minLevel > maxPackageLevel) { maxPackageLevel = node.minLevel; } });
    packageLinksMain.forEach((link) => { if (link.minLevel > maxPackageLevel) { maxPackageLevel = link.minLevel; } });
 
-   global.$$esdoc_plugin_jspm_package_graph.packageGraphMain =
+   packageGraph.packageGraphMain =
    {
       maxLevel: maxPackageLevel,
       nodes: packageNodesMain,
-      links: packageLinksMain
+      links: packageLinksMain,
+      cycles: s_FIND_CYCLES(packageNodesMain, packageLinksMain),
+      duplicates: s_FIND_DUPLICATES(packageNodesMain, packageLinksMain)
    };
+
+   // Determine max package level for `peer` category.
+   maxPackageLevel = 0;
+   packageNodesPeer.forEach((node) => { if (node.minLevel > maxPackageLevel) { maxPackageLevel = node.minLevel; } });
+   packageLinksPeer.forEach((link) => { if (link.minLevel > maxPackageLevel) { maxPackageLevel = link.minLevel; } });
+
+   packageGraph.packageGraphPeer =
+   {
+      maxLevel: maxPackageLevel,
+      nodes: packageNodesPeer,
+      links: packageLinksPeer,
+      cycles: s_FIND_CYCLES(packageNodesPeer, packageLinksPeer),
+      duplicates: s_FIND_DUPLICATES(packageNodesPeer, packageLinksPeer)
+   };
+
+   // Packages which are not ESDoc linked (IE beyond `options.maxDepth`) remain in the graphs as undocumented external
+   // references; the root project is always documented.
+   const normPackageDataESDoc = jspmData.normPackageDataESDoc || {};
+   const normPackageDataESDocDev = jspmData.normPackageDataESDocDev || {};
+
+   for (const graphName in packageGraph)
+   {
+      packageGraph[graphName].nodes.forEach((node) =>
+      {
+         node.isDocumented = (node.packageData && node.packageData.jspmType === 'root') ||
+          normPackageDataESDoc.hasOwnProperty(node.id) || normPackageDataESDocDev.hasOwnProperty(node.id);
+      });
+   }
+
+   global.$$esdoc_plugin_jspm_package_graph = packageGraph;
+
+   return packageGraph;
 }
 
 // Provides a recursive function traversing package dependencies.
 const s_DEPTH_TRAVERSAL_NODES = (packageDeps, packageNodes, packageNodeMap, packageLinks, packageScope, depth,
-                                 options) =>
+                                 jspmData, log, packageFilter) =>
 {
-   const { childPackageMap, normPackageDataAll } = global.$$esdoc_plugin_jspm;
+   const { childPackageMap, normPackageDataAll } = jspmData;
 
    const nextLevelPackages = [];
 
@@ -211,13 +300,13 @@ const s_DEPTH_TRAVERSAL_NODES = (packageDeps, packageNodes, packageNodeMap, pack
    {
       const packageDep = packageDeps[cntr];
 
-      if (options.verbose)
+      if (log.isEnabled('trace'))
       {
-         console.log(`esdoc-plugin-dependency-graphs: s_DEPTH_TRAVERSAL_NODES - depth: ${depth}; packageDep.index: `
-          + `${packageDep.index}; dep: ${JSON.stringify(packageDep)}`);
+         log.trace(`packageGraphParser - depth: ${depth}; packageDep.index: ${packageDep.index}; dep: `
+          + `${JSON.stringify(packageDep)}`);
       }
 
-      const childDepMap = childPackageMap[packageDep.packageData.fullPackage];
+      const childDepMap = childPackageMap[packageDep.fullPackage];
 
       if (typeof childDepMap === 'undefined')
       {
@@ -228,23 +317,26 @@ const s_DEPTH_TRAVERSAL_NODES = (packageDeps, packageNodes, packageNodeMap, pack
       for (const key in childDepMap)
       {
          const fullPackage = childDepMap[key];
+
+         // Packages filtered by the `includePackages` / `excludePackages` options are not part of the graph; like
+         // `packageParser` child packages are matched by the full package name.
+         if (typeof packageFilter(void 0, fullPackage) === 'string') { continue; }
          const index = packageNodes.length;
          const objectID = Utils.sanitizePackageID(fullPackage);
          const packageData = normPackageDataAll[objectID];
 
-         s_CORRECT_ALIASED_NAME(objectID, key);
+         s_CORRECT_ALIASED_NAME(jspmData, objectID, key);
 
-         const newNode = { id: objectID, minLevel: depth, packageScope, packageData, fixed: false, index };
+         const newNode = { id: objectID, minLevel: depth, fullPackage, packageScope, packageData, fixed: false,
+          index };
 
          if (!packageNodeMap.has(objectID))
          {
             nextLevelPackages.push(newNode);
 
-            if (options.verbose)
+            if (log.isEnabled('trace'))
             {
-               console.log(
-                `esdoc-plugin-dependency-graphs: s_DEPTH_TRAVERSAL_NODES - depth: ' + depth + '; adding node: `
-                + `${JSON.stringify(newNode)}`);
+               log.trace(`packageGraphParser - depth: ${depth}; adding node: ${JSON.stringify(newNode)}`);
             }
 
             packageNodes.push(newNode);
@@ -261,10 +353,9 @@ const s_DEPTH_TRAVERSAL_NODES = (packageDeps, packageNodes, packageNodeMap, pack
             {
                existingNode.minLevel = newNode.minLevel;
 
-               if (options.verbose)
+               if (log.isEnabled('trace'))
                {
-                  console.log(
-                   `esdoc-plugin-dependency-graphs: s_DEPTH_TRAVERSAL_NODES - depth: ${depth}; updating min level: `
+                  log.trace(`packageGraphParser - depth: ${depth}; updating min level: `
                    + `${JSON.stringify(existingNode)}`);
                }
             }
@@ -276,32 +367,33 @@ const s_DEPTH_TRAVERSAL_NODES = (packageDeps, packageNodes, packageNodeMap, pack
 
    if (nextLevelPackages.length > 0)
    {
-      if (options.verbose)
+      if (log.isEnabled('trace'))
       {
-         console.log(`esdoc-plugin-dependency-graphs: s_DEPTH_TRAVERSAL_NODES - depth: ${depth}; nextLevelPackages: `
-          + `${JSON.stringify(nextLevelPackages)}`);
+         log.trace(`packageGraphParser - depth: ${depth}; nextLevelPackages: ${JSON.stringify(nextLevelPackages)}`);
       }
 
       s_DEPTH_TRAVERSAL_NODES(nextLevelPackages, packageNodes, packageNodeMap, packageLinks, packageScope, depth + 1,
-       options);
+       jspmData, log, packageFilter);
    }
 };
 
 // Module Private ---------------------------------------------------------------------------------------------------
 
-const s_DATA_FIELDS = ['normPackageDataAll', 'normPackageDataDev', 'normPackageDataESDoc', 'normPackageDataMain'];
+const s_DATA_FIELDS = ['normPackageDataAll', 'normPackageDataDev', 'normPackageDataESDoc', 'normPackageDataESDocDev',
+ 'normPackageDataMain', 'normPackageDataPeer'];
 
 /**
  * Corrects all normalized package data names if an alias is detected when walking the package dependency graph.
  *
+ * @param {object}   jspmData - Parsed JSPM data.
  * @param {string}   objectID - package key.
  * @param {string}   packageName - Name of potentially aliased package.
  */
-const s_CORRECT_ALIASED_NAME = (objectID, packageName) =>
+const s_CORRECT_ALIASED_NAME = (jspmData, objectID, packageName) =>
 {
    s_DATA_FIELDS.forEach((field) =>
    {
-      const normPackageData = global.$$esdoc_plugin_jspm[field];
+      const normPackageData = jspmData[field] || {};
       const packageData = normPackageData[objectID];
 
       if (packageData && packageName !== packageData.packageName)
@@ -310,4 +402,135 @@ const s_CORRECT_ALIASED_NAME = (objectID, packageName) =>
          packageData.isAlias = true;
       }
    });
-};
\ No newline at end of file
+};
+
+/**
+ * Finds all dependency cycles of a package graph as the strongly connected components with more than one node or a
+ * self link (Tarjan's algorithm implemented iteratively).
+ *
+ * @param {Array<object>}  nodes - Package graph nodes.
+ * @param {Array<object>}  links - Package graph links with source / target node indexes.
+ *
+ * @returns {Array<Array<string>>} Node IDs of each cycle.
+ */
+const s_FIND_CYCLES = (nodes, links) =>
+{
+   const adjacency = nodes.map(() => []);
+   const selfLinked = new Set();
+
+   links.forEach((link) =>
+   {
+      adjacency[link.source].push(link.target);
+
+      if (link.source === link.target) { selfLinked.add(link.source); }
+   });
+
+   const cycles = [];
+   const indexes = new Array(nodes.length);
+   const lowLinks = new Array(nodes.length);
+   const onStack = new Array(nodes.length).fill(false);
+   const stack = [];
+
+   let nextIndex = 0;
+
+   for (let start = 0; start < nodes.length; start++)
+   {
+      if (typeof indexes[start] === 'number') { continue; }
+
+      // Each frame stores a node and the position of the next adjacent node to visit.
+      const frames = [{ node: start, next: 0 }];
+
+      indexes[start] = lowLinks[start] = nextIndex++;
+      stack.push(start);
+      onStack[start] = true;
+
+      while (frames.length > 0)
+      {
+         const frame = frames[frames.length - 1];
+         const node = frame.node;
+
+         if (frame.next < adjacency[node].length)
+         {
+            const target = adjacency[node][frame.next++];
+
+            if (typeof indexes[target] !== 'number')
+            {
+               indexes[target] = lowLinks[target] = nextIndex++;
+               stack.push(target);
+               onStack[target] = true;
+               frames.push({ node: target, next: 0 });
+            }
+            else if (onStack[target])
+            {
+               lowLinks[node] = Math.min(lowLinks[node], indexes[target]);
+            }
+
+            continue;
+         }
+
+         frames.pop();
+
+         if (frames.length > 0)
+         {
+            const parent = frames[frames.length - 1].node;
+            lowLinks[parent] = Math.min(lowLinks[parent], lowLinks[node]);
+         }
+
+         // The node is the root of a strongly connected component.
+         if (lowLinks[node] === indexes[node])
+         {
+            const component = [];
+
+            let member;
+
+            do
+            {
+               member = stack.pop();
+               onStack[member] = false;
+               component.push(member);
+            } while (member !== node);
+
+            if (component.length > 1 || selfLinked.has(node))
+            {
+               cycles.push(component.sort((a, b) => a - b).map((index) => nodes[index].id));
+            }
+         }
+      }
+   }
+
+   return cycles;
+};
+
+/**
+ * Finds all packages with more than one version in a package graph grouped by registry and actual package name (IE the
+ * full package name without version, so aliased packages are grouped by the actual package). Each version lists the
+ * node ID and the node IDs of all parents which pull in that version.
+ *
+ * @param {Array<object>}  nodes - Package graph nodes.
+ * @param {Array<object>}  links - Package graph links with source / target node indexes.
+ *
+ * @returns {Array<{registry: string, name: string, versions: Array<{version: string, id: string, parents: string[]}>}>}
+ */
+const s_FIND_DUPLICATES = (nodes, links) =>
+{
+   const packages = new Map();
+
+   nodes.forEach((node) =>
+   {
+      // IE `npm:underscore@1.8.3` or `github:typhonjs/backbone-es6@master`; the root node has no full package.
+      const values = typeof node.fullPackage === 'string' ? (/^([^:]+):(.+)@([^@]+)$/).exec(node.fullPackage) : null;
+
+      if (values === null) { return; }
+
+      const key = `${values[1]}:${values[2]}`;
+
+      if (!packages.has(key)) { packages.set(key, { registry: values[1], name: values[2], versions: [] }); }
+
+      const parents = _.uniq(links.filter((link) => link.target === node.index).map((link) => nodes[link.source].id));
+
+      packages.get(key).versions.push({ version: values[3], id: node.id, parents });
+   });
+
+   return Array.from(packages.values()).filter((entry) => entry.versions.length > 1).sort((a, b) =>
+    `${a.registry}:${a.name}`.localeCompare(`${b.registry}:${b.name}`));
+};
@@ -0,0 +1,229 @@
+'use strict';
+
+import fs         from 'fs-extra';
+import path       from 'path';
+
+/**
+ * Writes the package graphs created by `packageGraphParser` to `outputDir` as JSON, Graphviz DOT and GraphML, so that
+ * the dependency tree may be rendered and diffed in other tools. For each graph IE `packageGraphAll` the files
+ * `packageGraphAll.json`, `packageGraphAll.dot` and `packageGraphAll.graphml` are written.
+ *
+ * Each node carries the package name, actual package name, version, jspm type, alias status, min depth, whether the
+ * package is documented and the index of any dependency cycle it is part of (`-1` if none); each link carries the
+ * source / target node IDs and min depth. Nodes and links of dependency cycles are colored red and undocumented
+ * packages are dashed in the DOT output. The JSON output also contains the `cycles`
+ * and `duplicates` (packages present in more than one version) of each graph.
+ *
+ * @param {object}   packageGraph - Package graphs from `packageGraphParser`.
+ * @param {string}   outputDir - Directory to write graph files.
+ *
+ * @returns {Array<string>} The files written.
+ */
+export default function packageGraphWriter(packageGraph, outputDir)
+{
+   const files = [];
+
+   fs.ensureDirSync(outputDir);
+
+   for (const graphName in packageGraph)
+   {
+      const graph = serializePackageGraph(packageGraph[graphName]);
+
+      s_FORMATS.forEach((format) =>
+      {
+         const filePath = path.join(outputDir, `${graphName}.${format.extension}`);
+
+         fs.writeFileSync(filePath, format.write(graphName, graph));
+
+         files.push(filePath);
+      });
+   }
+
+   return files;
+}
+
+/**
+ * Converts a package graph to a serializable graph with node data and links referencing node IDs. Nodes without
+ * normalized package data (IE packages from registries which are not enabled) only have a name and min depth.
+ *
+ * @param {{maxLevel: number, nodes: Array<object>, links: Array<object>}}   graph - A package graph.
+ *
+ * @returns {{maxLevel: number, nodes: Array<object>, links: Array<object>, cycles: Array<Array<string>>,
+ *           duplicates: Array<object>}}
+ */
+export function serializePackageGraph(graph)
+{
+   const cycles = graph.cycles || [];
+
+   const nodes = graph.nodes.map((node) =>
+   {
+      const packageData = node.packageData || {};
+
+      const cycle = cycles.findIndex((cycleIDs) => cycleIDs.indexOf(node.id) >= 0);
+
+      return {
+         id: node.id,
+         name: packageData.packageName || node.id,
+         actualName: packageData.actualPackageName || packageData.packageName || node.id,
+         version: packageData.version || '',
+         jspmType: packageData.jspmType || '',
+         isAlias: packageData.isAlias === true,
+         minLevel: node.minLevel,
+         isDocumented: node.isDocumented === true,
+         cycle
+      };
+   });
+
+   const links = graph.links.map((link) =>
+    ({ source: nodes[link.source].id, target: nodes[link.target].id, minLevel: link.minLevel }));
+
+   return { maxLevel: graph.maxLevel, nodes, links, cycles, duplicates: graph.duplicates || [] };
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Escapes a value for a quoted Graphviz DOT ID.
+ *
+ * @param {*}  value - Value to escape.
+ * @returns {string}
+ */
+const s_ESCAPE_DOT = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+/**
+ * Escapes a value for XML.
+ *
+ * @param {*}  value - Value to escape.
+ * @returns {string}
+ */
+const s_ESCAPE_XML = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+ .replace(/"/g, '&quot;');
+
+/**
+ * Creates a Graphviz DOT digraph.
+ *
+ * @param {string}   graphName - Name of graph.
+ * @param {object}   graph - Serialized graph.
+ *
+ * @returns {string}
+ */
+const s_WRITE_DOT = (graphName, graph) =>
+{
+   const lines = [`digraph "${s_ESCAPE_DOT(graphName)}" {`];
+
+   const cycleMap = {};
+
+   graph.nodes.forEach((node) =>
+   {
+      // The label has the version on a second line.
+      const label = s_ESCAPE_DOT(node.name) + (node.version ? `\\n${s_ESCAPE_DOT(node.version)}` : '');
+
+      cycleMap[node.id] = node.cycle;
+
+      lines.push(`  "${s_ESCAPE_DOT(node.id)}" [label="${label}", `
+       + `actualName="${s_ESCAPE_DOT(node.actualName)}", version="${s_ESCAPE_DOT(node.version)}", `
+        + `jspmType="${s_ESCAPE_DOT(node.jspmType)}", isAlias=${node.isAlias}, minLevel=${node.minLevel}, `
+         + `isDocumented=${node.isDocumented}, cycle=${node.cycle}${node.cycle >= 0 ? ', color="red"' : ''}`
+          + `${node.isDocumented ? '' : ', style="dashed"'}];`);
+   });
+
+   graph.links.forEach((link) =>
+   {
+      // Links between nodes of the same cycle are part of the cycle.
+      const inCycle = cycleMap[link.source] >= 0 && cycleMap[link.source] === cycleMap[link.target];
+
+      lines.push(`  "${s_ESCAPE_DOT(link.source)}" -> "${s_ESCAPE_DOT(link.target)}" [minLevel=${link.minLevel}`
+       + `${inCycle ? ', color="red"' : ''}];`);
+   });
+
+   lines.push('}');
+
+   return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Defines the GraphML attribute keys for nodes and edges.
+ * @type {Array<{id: string, domain: string, type: string, name: string}>}
+ */
+const s_GRAPHML_KEYS =
+[
+   { id: 'name', domain: 'node', type: 'string' },
+   { id: 'actualName', domain: 'node', type: 'string' },
+   { id: 'version', domain: 'node', type: 'string' },
+   { id: 'jspmType', domain: 'node', type: 'string' },
+   { id: 'isAlias', domain: 'node', type: 'boolean' },
+   { id: 'minLevel', domain: 'node', type: 'int' },
+   { id: 'isDocumented', domain: 'node', type: 'boolean' },
+   { id: 'cycle', domain: 'node', type: 'int' },
+   { id: 'linkMinLevel', domain: 'edge', type: 'int', name: 'minLevel' }
+];
+
+/**
+ * Creates a GraphML document.
+ *
+ * @param {string}   graphName - Name of graph.
+ * @param {object}   graph - Serialized graph.
+ *
+ * @returns {string}
+ */
+const s_WRITE_GRAPHML = (graphName, graph) =>
+{
+   const lines =
+   [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'
+   ];
+
+   s_GRAPHML_KEYS.forEach((key) =>
+   {
+      lines.push(`  <key id="${key.id}" for="${key.domain}" attr.name="${key.name || key.id}" `
+       + `attr.type="${key.type}"/>`);
+   });
+
+   lines.push(`  <graph id="${s_ESCAPE_XML(graphName)}" edgedefault="directed">`);
+
+   graph.nodes.forEach((node) =>
+   {
+      lines.push(`    <node id="${s_ESCAPE_XML(node.id)}">`);
+
+      s_GRAPHML_KEYS.filter((key) => key.domain === 'node').forEach((key) =>
+      {
+         lines.push(`      <data key="${key.id}">${s_ESCAPE_XML(node[key.id])}</data>`);
+      });
+
+      lines.push('    </node>');
+   });
+
+   graph.links.forEach((link) =>
+   {
+      lines.push(`    <edge source="${s_ESCAPE_XML(link.source)}" target="${s_ESCAPE_XML(link.target)}">`);
+      lines.push(`      <data key="linkMinLevel">${link.minLevel}</data>`);
+      lines.push('    </edge>');
+   });
+
+   lines.push('  </graph>');
+   lines.push('</graphml>');
+
+   return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Creates a JSON document.
+ *
+ * @param {string}   graphName - Name of graph.
+ * @param {object}   graph - Serialized graph.
+ *
+ * @returns {string}
+ */
+const s_WRITE_JSON = (graphName, graph) => JSON.stringify(graph, null, 2);
+
+/**
+ * Defines the output formats.
+ * @type {Array<{extension: string, write: function}>}
+ */
+const s_FORMATS =
+[
+   { extension: 'json', write: s_WRITE_JSON },
+   { extension: 'dot', write: s_WRITE_DOT },
+   { extension: 'graphml', write: s_WRITE_GRAPHML }
+];
@@ -0,0 +1,212 @@
+'use strict';
+
+import pageWriter, { escapeHTML }   from './pageWriter.js';
+import Utils                        from './Utils.js';
+
+import { serializePackageGraph }    from './packageGraphWriter.js';
+
+/**
+ * Writes an overview page `package/<package ID>.html` for each linked JSPM package and an index page
+ * `package/index.html` listing all linked packages to the docs destination. Each overview page shows the package
+ * metadata, the direct dependencies and dependents from `packageGraphAll` and links to the documented classes,
+ * functions and typedefs of the package. The scope of a package is `dev` for dev only packages, `peer` for packages
+ * only reachable from peer dependencies (`packageGraphPeer`) and otherwise `main`.
+ *
+ * @param {string}   docDestination - ESDoc destination directory.
+ * @param {object}   normPackageDataLinked - Normalized package data for all ESDoc linked JSPM packages.
+ * @param {object}   packageGraph - Package graphs from `packageGraphParser`.
+ * @param {object}   packageDocs - Documented identifiers `{kind, name, url}` keyed by package graph node ID.
+ *
+ * @returns {Array<string>} The package IDs of all written overview pages.
+ */
+export default function packagePages(docDestination, normPackageDataLinked, packageGraph, packageDocs)
+{
+   const graph = serializePackageGraph(packageGraph.packageGraphAll);
+
+   const nodeMap = {};
+
+   graph.nodes.forEach((node) => { nodeMap[node.id] = node; });
+
+   const packages = Object.keys(normPackageDataLinked).map((key) => normPackageDataLinked[key]).sort((a, b) =>
+    a.packageName.localeCompare(b.packageName));
+
+   const packageIDs = packages.map((packageData) => Utils.sanitizePackageID(packageData.fullPackage));
+
+   const mainIDs = s_GET_NODE_IDS(packageGraph.packageGraphMain);
+   const peerIDs = s_GET_NODE_IDS(packageGraph.packageGraphPeer);
+
+   packages.forEach((packageData, index) =>
+   {
+      const packageID = packageIDs[index];
+
+      // A package may be linked more than once IE when it is reached at several depths, so each node is listed once.
+      const dependencies = s_UNIQUE_NODES(graph.links.filter((link) => link.source === packageID).map((link) =>
+       nodeMap[link.target]));
+      const dependents = s_UNIQUE_NODES(graph.links.filter((link) => link.target === packageID).map((link) =>
+       nodeMap[link.source]));
+
+      const scope = packageData.isDevScope ? 'dev' : peerIDs.has(packageID) && !mainIDs.has(packageID) ? 'peer' :
+       'main';
+
+      pageWriter(docDestination, getPackagePageURL(packageID),
+      {
+         title: packageData.packageName,
+         content: s_CREATE_PACKAGE_CONTENT(packageData, scope, dependencies, dependents, packageDocs[packageID] || [],
+          packageIDs)
+      });
+   });
+
+   pageWriter(docDestination, 'package/index.html',
+   {
+      title: 'Packages',
+      content: s_CREATE_INDEX_CONTENT(packages, packageIDs)
+   });
+
+   return packageIDs;
+}
+
+/**
+ * Returns the URL of a package overview page relative to the docs destination.
+ *
+ * @param {string}   packageID - Sanitized package ID.
+ * @returns {string}
+ */
+export function getPackagePageURL(packageID)
+{
+   return `package/${packageID}.html`;
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines the documented identifier kinds listed on package overview pages.
+ * @type {Array<{kind: string, title: string}>}
+ */
+const s_DOC_KINDS =
+[
+   { kind: 'class', title: 'Classes' },
+   { kind: 'function', title: 'Functions' },
+   { kind: 'typedef', title: 'Typedefs' }
+];
+
+/**
+ * Creates the content of the index page listing all linked packages.
+ *
+ * @param {Array<object>}  packages - Normalized package data of linked packages.
+ * @param {Array<string>}  packageIDs - Package IDs of linked packages.
+ * @returns {string}
+ */
+const s_CREATE_INDEX_CONTENT = (packages, packageIDs) =>
+{
+   const rows = packages.map((packageData, index) =>
+    `    <tr><td><a href="${getPackagePageURL(packageIDs[index])}">${escapeHTML(packageData.packageName)}</a></td>`
+     + `<td>${escapeHTML(packageData.version)}</td><td>${escapeHTML(packageData.registry)}</td>`
+      + `<td>${packageData.isAlias ? escapeHTML(packageData.actualPackageName) : ''}</td></tr>`).join('\n');
+
+   return `
+<div class="esdoc-jspm-packages">
+  <h1>Packages</h1>
+  <table class="summary">
+    <thead><tr><td>Package</td><td>Version</td><td>Registry</td><td>Alias of</td></tr></thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>
+</div>
+`;
+};
+
+/**
+ * Creates a list of package graph nodes linking nodes of linked packages to their overview page.
+ *
+ * @param {string}         title - Section title.
+ * @param {Array<object>}  nodes - Serialized package graph nodes.
+ * @param {Array<string>}  packageIDs - Package IDs of linked packages.
+ * @returns {string}
+ */
+const s_CREATE_NODE_LIST = (title, nodes, packageIDs) =>
+{
+   const items = nodes.map((node) =>
+   {
+      const label = `${escapeHTML(node.name)}${node.version ? ` ${escapeHTML(node.version)}` : ''}`;
+
+      return packageIDs.indexOf(node.id) >= 0 ? `<li><a href="${getPackagePageURL(node.id)}">${label}</a></li>` :
+       `<li>${label}</li>`;
+   });
+
+   return `  <h2>${title}</h2>\n  ${items.length ? `<ul>${items.join('')}</ul>` : '<p>None</p>'}\n`;
+};
+
+/**
+ * Creates the content of a package overview page.
+ *
+ * @param {object}         packageData - Normalized package data.
+ * @param {string}         scope - Package scope: `main`, `peer` or `dev`.
+ * @param {Array<object>}  dependencies - Serialized package graph nodes of direct dependencies.
+ * @param {Array<object>}  dependents - Serialized package graph nodes of direct dependents.
+ * @param {Array<object>}  docs - Documented identifiers `{kind, name, url}` of the package.
+ * @param {Array<string>}  packageIDs - Package IDs of linked packages.
+ * @returns {string}
+ */
+const s_CREATE_PACKAGE_CONTENT = (packageData, scope, dependencies, dependents, docs, packageIDs) =>
+{
+   const metadata =
+   [
+      ['Version', escapeHTML(packageData.version)],
+      ['Registry', escapeHTML(packageData.registry)],
+      ['Package', escapeHTML(packageData.fullPackage)],
+      ['Scope', scope],
+      ['Path', escapeHTML(packageData.relativePath)]
+   ];
+
+   if (packageData.isAlias) { metadata.splice(1, 0, ['Alias of', escapeHTML(packageData.actualPackageName)]); }
+
+   if (packageData.scmLink)
+   {
+      metadata.push(['Repository', `<a href="${escapeHTML(packageData.scmLink.link)}">${
+       escapeHTML(packageData.scmLink.link)}</a>`]);
+   }
+
+   if (packageData.packageLink)
+   {
+      metadata.push(['Registry Page', `<a href="${escapeHTML(packageData.packageLink.link)}">${
+       escapeHTML(packageData.packageLink.link)}</a>`]);
+   }
+
+   const rows = metadata.map((entry) => `    <tr><td>${entry[0]}</td><td>${entry[1]}</td></tr>`).join('\n');
+
+   const sections = s_DOC_KINDS.map((docKind) =>
+   {
+      const items = docs.filter((doc) => doc.kind === docKind.kind).map((doc) =>
+       `<li><a href="${escapeHTML(doc.url)}">${escapeHTML(doc.name)}</a></li>`);
+
+      return items.length ? `  <h2>${docKind.title}</h2>\n  <ul>${items.join('')}</ul>\n` : '';
+   }).join('');
+
+   return `
+<div class="esdoc-jspm-package">
+  <h1>${escapeHTML(packageData.packageName)}</h1>
+  <table class="summary">
+${rows}
+  </table>
+${s_CREATE_NODE_LIST('Dependencies', dependencies, packageIDs)}${
+ s_CREATE_NODE_LIST('Dependents', dependents, packageIDs)}${sections || '  <p>No documented identifiers.</p>\n'}</div>
+`;
+};
+
+/**
+ * Returns the node IDs of a package graph.
+ *
+ * @param {object}   [graph] - A package graph from `packageGraphParser`.
+ * @returns {Set<string>}
+ */
+const s_GET_NODE_IDS = (graph) => new Set(graph ? graph.nodes.map((node) => node.id) : []);
+
+/**
+ * Removes repeated serialized package graph nodes keeping the first occurrence.
+ *
+ * @param {Array<object>}  nodes - Serialized package graph nodes.
+ * @returns {Array<object>}
+ */
+const s_UNIQUE_NODES = (nodes) =>
+ nodes.filter((node, index) => nodes.findIndex((other) => other.id === node.id) === index);
@@ -1,92 +1,137 @@
 'use strict';
 
-import _          from 'underscore';
-import fs         from 'fs-extra';
-import path       from 'path';
+import _                   from 'underscore';
+import fs                  from 'fs-extra';
+import path                from 'path';
 
-import JSPMParser from 'typhonjs-config-jspm-parse';
+import JSPMParser          from 'typhonjs-config-jspm-parse';
 
-import jspm       from 'jspm';   // Note: this could be dangerous for NPM < 3.0.
+import esdocConfigLoader   from './esdocConfigLoader.js';
+import Logger              from './Logger.js';
+import createPackageFilter from './packageFilter.js';
+import localPathParser     from './localPathParser.js';
+import PackageNormalizer   from './PackageNormalizer.js';
+import systemLoader        from './systemLoader.js';
+import Utils               from './Utils.js';
 
-import Utils      from './Utils.js';
-
-let packagePath = './package.json';
+import { ConfigError, ErrorCodes, PackageError }  from './PluginError.js';
 
 /**
  * Parses the JSPM / SystemJS runtime for package information returning a version with all package data, all packages
  * with valid ESDoc config files and the root package name from `package.json` or the actual root directory name.
  *
+ * Both jspm 0.16 (`config.js`) and jspm 0.17 (`jspm.config.js` / `jspm.browser.js`) projects are supported; see
+ * `systemLoader`. Top level packages are parsed in three scopes: main (`jspm.dependencies`), dev
+ * (`jspm.devDependencies`) and peer (`jspm.peerDependencies`).
+ *
+ * The link status of all top level and child packages is collected in `packageReport` listing whether each package is
+ * resolved, ESDoc linked and the reason a package is skipped; see `s_CREATE_PACKAGE_REPORT`.
+ *
  * @param {object}   config - ESDoc configuration.
  * @param {object}   options - Optional parameters from plugin instance.
+ * @param {Logger}   log - Logger of the build.
  *
  * @returns {{}}
  */
-export default function packageParser(config, options)
+export default function packageParser(config, options, log = new Logger(options))
 {
-   const rootPath = config.hasOwnProperty('jspmRootPath') ? config.jspmRootPath :
-    JSPMParser.getRootPath();
-
-   // Set the package path to the local root where config.js is located.
-   jspm.setPackagePath(rootPath);
+   const rootPath = resolveRootPath(config);
 
    // Stores options.packages converted into an object hash or the values from `jspm.dependencies` from `package.json`.
-   let jspmPackageMap;
+   let jspmPackageMap = s_CREATE_PACKAGE_MAP(options.packages);
 
    // Stores options.devPackages converted into an object hash or the values from `jspm.devDependencies` from
    // `package.json`.
-   let jspmDevPackageMap;
+   let jspmDevPackageMap = s_CREATE_PACKAGE_MAP(options.devPackages);
+
+   // Stores options.peerPackages converted into an object hash or the values from `jspm.peerDependencies` from
+   // `package.json`.
+   let jspmPeerPackageMap = s_CREATE_PACKAGE_MAP(options.peerPackages);
 
    // Get package.json as ESDoc will prepend the name of the module found in the package.json
    let rootPackageName;
 
-   // Convert options.packages array to object literal w/ no mapped path.
-   if (options.packages.length > 0)
+   // Stores the parsed root `package.json`.
+   let packageObj;
+
+   const packagePath = resolvePackagePath(config);
+
+   let packageJSON;
+
+   try { packageJSON = fs.readFileSync(packagePath, 'utf-8'); }
+   catch (err)
+   {
+      throw new ConfigError(ErrorCodes.PACKAGE_JSON_NOT_FOUND,
+       `Could not locate 'package.json' in package path '${packagePath}'.`, { file: packagePath, cause: err });
+   }
+
+   try { packageObj = JSON.parse(packageJSON); }
+   catch (err)
    {
-      jspmPackageMap = {};
-      for (let cntr = 0; cntr < options.packages.length; cntr++)
-      {
-         jspmPackageMap[options.packages[cntr]] = null;
-      }
+      throw new ConfigError(ErrorCodes.PACKAGE_JSON_INVALID, `Could not parse '${packagePath}': ${err.message}`,
+       { file: packagePath, cause: err });
    }
 
-   // Convert options.packages array to object literal w/ no mapped path.
-   if (options.devPackages.length > 0)
+   if (packageObj === null || typeof packageObj !== 'object')
    {
-      jspmDevPackageMap = {};
-      for (let cntr = 0; cntr < options.devPackages.length; cntr++)
-      {
-         jspmDevPackageMap[options.devPackages[cntr]] = null;
-      }
+      throw new ConfigError(ErrorCodes.PACKAGE_JSON_INVALID, `'${packagePath}' does not contain an object.`,
+       { file: packagePath });
    }
 
-   // If the ESDoc configuration file has a package path specified then use it.
-   if (config.package) { packagePath = config.package; }
+   rootPackageName = packageObj.name;
 
-   try
+   // If auto-parsing JSPM dependencies is enabled then analyze `package.json` for a `jspm.dependencies` entry.
+   if (options.parseDependencies)
    {
-      const packageJSON = fs.readFileSync(packagePath, 'utf-8');
-      const packageObj = JSON.parse(packageJSON);
+      jspmPackageMap = s_GET_PACKAGE_JSPM_DEPENDENCIES(packageObj, 'dependencies', jspmPackageMap, log);
 
-      rootPackageName = packageObj.name;
+      jspmDevPackageMap = s_GET_PACKAGE_JSPM_DEPENDENCIES(packageObj, 'devDependencies', jspmDevPackageMap, log);
 
-      // If auto-parsing JSPM dependencies is enabled then analyze `package.json` for a `jspm.dependencies` entry.
-      if (options.parseDependencies)
-      {
-         jspmPackageMap = JSPMParser.getPackageJSPMDependencies(packageObj, jspmPackageMap, options.silent,
-          'esdoc-plugin-jspm');
+      jspmPeerPackageMap = s_GET_PACKAGE_JSPM_DEPENDENCIES(packageObj, 'peerDependencies', jspmPeerPackageMap, log);
+   }
+
+   // Stores the first specific reason a package is skipped keyed by full package name or top level package name.
+   const skippedPackages = new Map();
 
-         jspmDevPackageMap = JSPMParser.getPackageJSPMDevDependencies(packageObj, jspmDevPackageMap, options.silent,
-          'esdoc-plugin-jspm');
+   const recordSkip = (key, reason, message) =>
+   {
+      // Packages which are not ESDoc linked are parsed first, so the generic `unresolved` reason is replaced by the
+      // reason of the ESDoc linked scopes.
+      if (!skippedPackages.has(key) || skippedPackages.get(key).reason === 'unresolved')
+      {
+         skippedPackages.set(key, { reason, message });
       }
-   }
-   catch (err)
+   };
+
+   // Stores the top level package maps before filtering for the package report.
+   const topLevelPackageMaps = { main: jspmPackageMap, dev: jspmDevPackageMap, peer: jspmPeerPackageMap };
+
+   // Filters packages by the `includePackages` / `excludePackages` options logging each filtered package once.
+   const packageFilter = createPackageFilter(options);
+   const filteredPackages = new Set();
+
+   const isPackageIncluded = (packageName, fullPackage) =>
    {
-      throw new Error(`Could not locate 'package.json' in package path '${packagePath}'.`);
-   }
+      const reason = packageFilter(packageName, fullPackage);
 
-   // Filter package maps so that they only include NPM / GitHub packages.
-   jspmPackageMap = s_FILTER_PACKAGE_MAP(jspmPackageMap);
-   jspmDevPackageMap = s_FILTER_PACKAGE_MAP(jspmDevPackageMap);
+      if (typeof reason === 'string' && !filteredPackages.has(fullPackage))
+      {
+         filteredPackages.add(fullPackage);
+         recordSkip(fullPackage, 'excluded', reason);
+
+         log.info(`skipping '${packageName || fullPackage}' (${fullPackage}) as it is ${reason}.`,
+          { packageName: fullPackage });
+      }
+
+      return typeof reason !== 'string';
+   };
+
+   // Filter package maps so that they only include packages from the registries enabled by `options.registries` and
+   // packages not filtered by the `includePackages` / `excludePackages` options.
+   jspmPackageMap = s_FILTER_PACKAGE_MAP(jspmPackageMap, options.registries, log, isPackageIncluded, recordSkip);
+   jspmDevPackageMap = s_FILTER_PACKAGE_MAP(jspmDevPackageMap, options.registries, log, isPackageIncluded, recordSkip);
+   jspmPeerPackageMap = s_FILTER_PACKAGE_MAP(jspmPeerPackageMap, options.registries, log, isPackageIncluded,
+    recordSkip);
 
    // ESDoc uses the root directory name if no package.json with a package name exists.
    const rootPathSplit = rootPath.split(path.sep);
@@ -98,148 +143,211 @@ export default function packageParser(config, options)
 
    rootPackageName = rootPackageName || rootDirName;
 
-   // Create SystemJS Loader
-   const System = new jspm.Loader();
+   // Locate the ESDoc configuration of the root project.
+   const rootESDocConfig = esdocConfigLoader(rootPath);
+   const rootESDocConfigFile = rootESDocConfig ? rootESDocConfig.filename : void 0;
 
-   const packageResolver = JSPMParser.getPackageResolver(System);
+   if (rootESDocConfigFile)
+   {
+      log.info(`root project ESDoc config: '${rootESDocConfigFile}'`);
+   }
+   else
+   {
+      log.info(`no root project ESDoc config located in: '${rootPath}'`);
+   }
 
-   // Stores the normalized paths and data from all JSPM lookups.
-   const normalizeDataMain = [];
-   const parseTopLevelPackagesMain = [];
+   // Create SystemJS Loader for the jspm version of the project.
+   const { System, jspmVersion, configFiles: jspmConfigFiles, directories: jspmDirectories } =
+    systemLoader(rootPath, packageObj);
 
-   const normalizedDataDev = [];
-   const parseTopLevelPackagesDev = [];
+   log.info(`jspm ${jspmVersion} project config: '${jspmConfigFiles.join(', ')}'`);
+   log.info(`jspm packages directory: '${jspmDirectories.packages}'`);
 
-   const normalizedDataESDoc = [];
-   const parseTopLevelPackagesESDoc = [];
+   // SystemJS `paths` and `map` aliases which resolve to local source code.
+   const localPathAliases = localPathParser(System, rootPath, jspmDirectories);
 
-   for (const packageName in jspmPackageMap)
+   localPathAliases.forEach((alias) =>
    {
-      const normalizedPackage = JSPMParser.parseNormalizedPackage(System, packageName, rootPath, options.silent,
-       'esdoc-plugin-jspm');
+      log.info(`linked local ${alias.type} alias '${alias.name}' to: ${alias.relativePath}`);
+   });
 
-      // Save the normalized data.
-      if (normalizedPackage !== null)
-      {
-         normalizedPackage.fullPackage = Utils.parseRelativePath(normalizedPackage.relativePath);
-         normalizedPackage.jspmType = normalizedPackage.packageType || normalizedPackage.scmType;
-         normalizeDataMain.push(normalizedPackage);
-         parseTopLevelPackagesMain.push(packageName);
-      }
+   const packageResolver = JSPMParser.getPackageResolver(System);
 
-      const normalizedPackageESDoc = JSPMParser.parseNormalizedPackage(System, packageName, rootPath, options.silent,
-       'esdoc-plugin-jspm', s_PARSE_ESDOC_PACKAGE);
+   // `JSPMParser` only resolves child dependencies from the default `jspm_packages` directory.
+   packageResolver.childPackageMap = PackageNormalizer.parseChildDependencies(System, jspmDirectories.packages);
 
-      // Save the normalized ESDoc data.
-      if (normalizedPackageESDoc !== null)
-      {
-         normalizedPackageESDoc.fullPackage = Utils.parseRelativePath(normalizedPackageESDoc.relativePath);
-         normalizedPackageESDoc.jspmType = normalizedPackageESDoc.packageType || normalizedPackageESDoc.scmType;
-         normalizedDataESDoc.push(normalizedPackageESDoc);
-         parseTopLevelPackagesESDoc.push(packageName);
-      }
-   }
+   // Binds the plugin options to the ESDoc package parsers passed to `PackageNormalizer.parseNormalizedPackage`.
+   const esdocPackageParser = (result) =>
+   {
+      result.isDevScope = false;
+      return s_PARSE_ESDOC_PACKAGE(result, options, log, recordSkip);
+   };
 
-   for (const packageName in jspmDevPackageMap)
+   const esdocDevPackageParser = (result) =>
    {
-      const normalizedPackageDev = JSPMParser.parseNormalizedPackage(System, packageName, rootPath, options.silent,
-       'esdoc-plugin-jspm');
+      result.isDevScope = true;
+      return s_PARSE_ESDOC_PACKAGE(result, options, log, recordSkip);
+   };
 
-      // Save the normalized data.
-      if (normalizedPackageDev !== null)
+   // Stores the normalized paths and data from all JSPM lookups.
+   const main = s_PARSE_PACKAGES(System, Object.keys(jspmPackageMap), false, rootPath, jspmDirectories, options,
+    log, void 0, recordSkip);
+   const dev = s_PARSE_PACKAGES(System, Object.keys(jspmDevPackageMap), false, rootPath, jspmDirectories, options,
+    log, void 0, recordSkip);
+   const peer = s_PARSE_PACKAGES(System, Object.keys(jspmPeerPackageMap), false, rootPath, jspmDirectories, options,
+    log, void 0, recordSkip);
+
+   // Packages deeper than `options.maxDepth` are not ESDoc linked. Like `minLevel` of the package graphs the root
+   // project is at depth 0 and top level packages are at depth 1.
+   const isWithinMaxDepth = (packageName, depth, fullPackage = packageName) =>
+   {
+      if (typeof options.maxDepth !== 'number' || depth <= options.maxDepth) { return true; }
+
+      recordSkip(fullPackage, 'maxDepth', `depth ${depth} exceeds the \`maxDepth\` option (${options.maxDepth})`);
+
+      log.info(`skipping documentation of '${packageName}' as its depth ${depth} exceeds the \`maxDepth\` option `
+       + `(${options.maxDepth}).`, { packageName: fullPackage });
+
+      return false;
+   };
+
+   // Peer dependencies are provided at runtime alongside main dependencies, so both are ESDoc linked.
+   const esdoc = s_PARSE_PACKAGES(System, Object.keys(jspmPackageMap).concat(Object.keys(jspmPeerPackageMap))
+    .filter((name) => isWithinMaxDepth(name, 1, jspmPackageMap[name] || jspmPeerPackageMap[name])), false, rootPath,
+     jspmDirectories, options, log, esdocPackageParser, recordSkip);
+
+   // Dev dependencies are only ESDoc linked when `options.linkDevPackages` is enabled. Any package already linked as a
+   // main or peer package is skipped.
+   const esdocDev = options.linkDevPackages ? s_PARSE_PACKAGES(System, Object.keys(jspmDevPackageMap).filter((name) =>
+    !jspmPackageMap.hasOwnProperty(name) && !jspmPeerPackageMap.hasOwnProperty(name) &&
+     isWithinMaxDepth(name, 1, jspmDevPackageMap[name])), false, rootPath, jspmDirectories, options, log,
+      esdocDevPackageParser, recordSkip) : { normalizedData: [], parsedPackages: [] };
+
+   // The depth of child packages is determined from all resolved top level packages of the ESDoc linked scopes.
+   esdoc.depthMap = s_CREATE_DEPTH_MAP(packageResolver.childPackageMap,
+    main.normalizedData.concat(peer.normalizedData).map((packageData) => packageData.fullPackage));
+
+   esdocDev.depthMap = s_CREATE_DEPTH_MAP(packageResolver.childPackageMap,
+    dev.normalizedData.map((packageData) => packageData.fullPackage));
+
+   // The resolved package data of top level packages keyed by package name before child packages are added.
+   const topLevelResolved = new Map();
+
+   [main, dev, peer].forEach((scope) =>
+   {
+      scope.parsedPackages.forEach((packageName, index) =>
       {
-         normalizedPackageDev.fullPackage = Utils.parseRelativePath(normalizedPackageDev.relativePath);
-         normalizedPackageDev.jspmType = normalizedPackageDev.packageType || normalizedPackageDev.scmType;
-         normalizedDataDev.push(normalizedPackageDev);
-         parseTopLevelPackagesDev.push(packageName);
-      }
-   }
+         topLevelResolved.set(packageName, scope.normalizedData[index]);
+      });
+   });
 
    if (options.parseDependencies)
    {
-      const childPackages = packageResolver.getUniqueDependencyList(parseTopLevelPackagesMain);
-
-      for (let cntr = 0; cntr < childPackages.length; cntr++)
+      [main, dev, peer, esdoc, esdocDev].forEach((scope) =>
       {
-         const normalizedPackage = JSPMParser.parseNormalizedPackage(System, childPackages[cntr], rootPath,
-          options.silent, 'esdoc-plugin-jspm');
+         scope.childPackages = packageResolver.getUniqueDependencyList(scope.parsedPackages).filter((childPackage) =>
+          s_IS_REGISTRY_ENABLED(childPackage, options.registries, recordSkip) &&
+           isPackageIncluded(void 0, childPackage) &&
+            (scope !== esdocDev || esdoc.childPackages.indexOf(childPackage) < 0) &&
+             (!scope.depthMap || isWithinMaxDepth(childPackage, scope.depthMap.get(childPackage))));
 
-         // Save the normalized data.
-         if (normalizedPackage !== null)
-         {
-            normalizedPackage.fullPackage = childPackages[cntr];
-            normalizedPackage.jspmType = normalizedPackage.packageType || normalizedPackage.scmType;
-            normalizeDataMain.push(normalizedPackage);
-         }
-      }
+         const extraParser = scope === esdoc ? esdocPackageParser : scope === esdocDev ? esdocDevPackageParser : void 0;
 
-      const childPackagesDev = packageResolver.getUniqueDependencyList(parseTopLevelPackagesDev);
+         const children = s_PARSE_PACKAGES(System, scope.childPackages, true, rootPath, jspmDirectories, options,
+          log, extraParser, recordSkip);
 
-      for (let cntr = 0; cntr < childPackagesDev.length; cntr++)
-      {
-         const normalizedPackageDev = JSPMParser.parseNormalizedPackage(System, childPackagesDev[cntr], rootPath,
-          options.silent, 'esdoc-plugin-jspm');
+         scope.normalizedData.push(...children.normalizedData);
+      });
+   }
 
-         // Save the normalized data.
-         if (normalizedPackageDev !== null)
-         {
-            normalizedPackageDev.fullPackage = childPackagesDev[cntr];
-            normalizedPackageDev.jspmType = normalizedPackageDev.packageType || normalizedPackageDev.scmType;
-            normalizedDataDev.push(normalizedPackageDev);
-         }
-      }
+   const normPackageDataMain = s_CREATE_NORM_MAP(main.normalizedData);
+   const normPackageDataDev = s_CREATE_NORM_MAP(dev.normalizedData);
+   const normPackageDataPeer = s_CREATE_NORM_MAP(peer.normalizedData);
+   const normPackageDataESDoc = s_CREATE_NORM_MAP(esdoc.normalizedData);
 
-      const childPackagesESDoc = packageResolver.getUniqueDependencyList(parseTopLevelPackagesESDoc);
+   // Any dev package which resolves to the same source root as a main or peer package is only linked once.
+   const esdocPaths = esdoc.normalizedData.map((packageData) => packageData.relativePath);
 
-      for (let cntr = 0; cntr < childPackagesESDoc.length; cntr++)
-      {
-         const normalizedPackageESDoc = JSPMParser.parseNormalizedPackage(System, childPackagesESDoc[cntr], rootPath,
-          options.silent, 'esdoc-plugin-jspm', s_PARSE_ESDOC_PACKAGE);
+   const normPackageDataESDocDev = s_CREATE_NORM_MAP(esdocDev.normalizedData.filter((packageData) =>
+    esdocPaths.indexOf(packageData.relativePath) < 0));
 
-         // Save the normalized data.
-         if (normalizedPackageESDoc !== null)
-         {
-            normalizedPackageESDoc.fullPackage = childPackagesESDoc[cntr];
-            normalizedPackageESDoc.jspmType = normalizedPackageESDoc.packageType || normalizedPackageESDoc.scmType;
-            normalizedDataESDoc.push(normalizedPackageESDoc);
-         }
+   // Packages only reachable from dev dependencies are dev scoped.
+   [normPackageDataMain, normPackageDataDev, normPackageDataPeer].forEach((normMap) =>
+   {
+      for (const key in normMap)
+      {
+         normMap[key].isDevScope = !normPackageDataMain.hasOwnProperty(key) && !normPackageDataPeer.hasOwnProperty(key);
       }
-   }
+   });
 
-   const normPackageDataMain = s_CREATE_NORM_MAP(normalizeDataMain || []);
-   const normPackageDataDev = s_CREATE_NORM_MAP(normalizedDataDev || []);
-   const normPackageDataESDoc = s_CREATE_NORM_MAP(normalizedDataESDoc || []);
-
-   const normPackageDataAll = _.extend(normPackageDataMain, normPackageDataDev);
+   const normPackageDataAll = _.extend({}, normPackageDataMain, normPackageDataDev, normPackageDataPeer);
 
    const uniqueDepsAll = packageResolver.getUniqueDependencyList();
    const uniqueDepsDev = packageResolver.getUniqueDependencyList(Object.keys(jspmDevPackageMap));
    const uniqueDepsMain = packageResolver.getUniqueDependencyList(Object.keys(jspmPackageMap));
+   const uniqueDepsPeer = packageResolver.getUniqueDependencyList(Object.keys(jspmPeerPackageMap));
 
-   const topLevelPackages = s_FILTER_PACKAGE_MAP(packageResolver.topLevelPackages);
+   const topLevelPackages = s_FILTER_PACKAGE_MAP(packageResolver.topLevelPackages, options.registries,
+    new Logger({ logLevel: 'off' }),
+    (packageName, fullPackage) => typeof packageFilter(packageName, fullPackage) !== 'string');
    const childPackageMap = packageResolver.childPackageMap;
 
+   const packageReport = s_CREATE_PACKAGE_REPORT(topLevelPackageMaps, topLevelResolved, uniqueDepsAll, skippedPackages,
+    { normPackageDataAll, normPackageDataESDoc, normPackageDataESDocDev }, options);
+
    global.$$esdoc_plugin_jspm =
    {
       childPackageMap,        // All child packages parsed from System / config.js
+      jspmConfigFiles,        // The SystemJS / jspm config files loaded relative to the root path.
+      jspmDirectories,        // The jspm `baseURL`, `lib` and `packages` directories relative to the root path.
       jspmDevPackageMap,      // Top level JSPM packages taken from options and / or package.json jspm.devDependencies.
       jspmPackageMap,         // Top level JSPM packages taken from options and / or package.json jspm.dependencies.
-      normPackageDataAll,     // Normalized dev & main package data for all JSPM managed packages.
+      jspmPeerPackageMap,     // Top level JSPM packages taken from options and / or package.json jspm.peerDependencies.
+      jspmVersion,            // The detected jspm version of the project; either `0.16` or `0.17`.
+      localPathAliases,       // SystemJS `paths` and `map` aliases which resolve to local source code.
+      normPackageDataAll,     // Normalized dev, main & peer package data for all JSPM managed packages.
       normPackageDataDev,     // Normalized dev package data for all JSPM managed packages.
       normPackageDataMain,    // Normalized main package data for all JSPM managed packages.
-      normPackageDataESDoc,   // Normalized main package data for all ESDoc enabled JSPM managed packages.
+      normPackageDataPeer,    // Normalized peer package data for all JSPM managed packages.
+      normPackageDataESDoc,   // Normalized main & peer package data for all ESDoc enabled JSPM managed packages.
+      normPackageDataESDocDev, // Normalized dev package data for all ESDoc enabled JSPM managed packages.
+      packageReport,          // Link status and skip reason of all top level and child packages.
       rootDirName,            // Root directory name.
+      rootESDocConfigFile,    // File name of the root project ESDoc config.
       rootPackageName,        // Root package name.
       rootPath,               // Root path
-      topLevelPackages,       // All top level dependencies and dev dependencies.
+      topLevelPackages,       // All top level dependencies, dev dependencies and peer dependencies.
       uniqueDepsAll,          // Unique package dependencies
       uniqueDepsDev,          // Unique package dev dependencies
-      uniqueDepsMain          // All unique package dependencies
+      uniqueDepsMain,         // All unique package dependencies
+      uniqueDepsPeer          // Unique package peer dependencies
    };
 
    return global.$$esdoc_plugin_jspm;
 }
 
+/**
+ * Returns the JSPM root path from the `jspmRootPath` entry of the ESDoc configuration or `JSPMParser.getRootPath()`.
+ *
+ * @param {object}   config - ESDoc configuration.
+ * @returns {string}
+ */
+export function resolveRootPath(config)
+{
+   return config.hasOwnProperty('jspmRootPath') ? config.jspmRootPath : JSPMParser.getRootPath();
+}
+
+/**
+ * Returns the path to the root `package.json`; if the ESDoc configuration has a package path specified it is used.
+ *
+ * @param {object}   config - ESDoc configuration.
+ * @returns {string}
+ */
+export function resolvePackagePath(config)
+{
+   return config.package ? config.package : './package.json';
+}
+
 // Utility functions ------------------------------------------------------------------------------------------------
 
 /**
@@ -265,93 +373,543 @@ const s_CREATE_NORM_MAP = (normData) =>
 };
 
 /**
- * Defines the supported file names for ESDoc configuration file names.
- * @type {string[]}
+ * Creates the package report listing the link status of all top level and child packages. Top level packages are
+ * listed first sorted by package name followed by child packages sorted by full package name. Each entry provides:
+ * - `resolved` - Whether the package was resolved and normalized.
+ * - `esdoc` - Whether the package is ESDoc linked.
+ * - `skipReason` / `skipMessage` - Why a package is not ESDoc linked; one of `registry`, `excluded`, `maxDepth`,
+ *   `unresolved`, `missingPackage`, `invalidPackageJSON`, `noConfig`, `invalidConfig`, `missingSource`,
+ *   `devNotLinked`, `dependenciesNotParsed` or `notLinked`.
+ *
+ * Top level packages list the declared package IE `npm:underscore@^1.8.0` as `declaredPackage` and the resolved full
+ * package name as `fullPackage`.
+ *
+ * @param {{main: object, dev: object, peer: object}}   topLevelPackageMaps - Unfiltered top level package maps.
+ * @param {Map<string, object>} topLevelResolved - Resolved package data of top level packages keyed by package name.
+ * @param {Array<string>}  childPackages - Full package names of all child packages.
+ * @param {Map<string, {reason: string, message: string}>} skippedPackages - Recorded skip reasons keyed by full package
+ *                                                                            name or top level package name.
+ * @param {object}         normMaps - Normalized package data maps `normPackageDataAll`, `normPackageDataESDoc` and
+ *                                    `normPackageDataESDocDev`.
+ * @param {object}         options - Optional parameters from plugin instance.
+ *
+ * @returns {Array<object>}
  */
-const s_ESDOC_CONFIG_NAMES = ['.esdocrc', 'esdoc.json'];
+const s_CREATE_PACKAGE_REPORT = (topLevelPackageMaps, topLevelResolved, childPackages, skippedPackages, normMaps,
+                                 options) =>
+{
+   const topLevel = new Map();
+
+   for (const scope of ['main', 'dev', 'peer'])
+   {
+      const packageMap = topLevelPackageMaps[scope];
+
+      for (const packageName in packageMap)
+      {
+         if (!topLevel.has(packageName))
+         {
+            const packageData = topLevelResolved.get(packageName);
+
+            topLevel.set(packageName, { packageName, declaredPackage: packageMap[packageName],
+             fullPackage: packageData ? packageData.fullPackage : packageMap[packageName], isTopLevel: true,
+              scopes: [] });
+         }
+
+         topLevel.get(packageName).scopes.push(scope);
+      }
+   }
+
+   const topLevelFullPackages = new Set(Array.from(topLevel.values()).map((entry) => entry.fullPackage));
+
+   const children = Array.from(new Set(childPackages)).filter((fullPackage) => !topLevelFullPackages.has(fullPackage))
+    .sort().map((fullPackage) => ({ fullPackage, isTopLevel: false }));
+
+   const entries = Array.from(topLevel.values()).sort((a, b) => a.packageName.localeCompare(b.packageName))
+    .concat(children);
+
+   return entries.map((entry) =>
+   {
+      const packageID = typeof entry.fullPackage === 'string' ? Utils.sanitizePackageID(entry.fullPackage) : void 0;
+      const packageData = packageID ? normMaps.normPackageDataAll[packageID] : void 0;
+
+      entry.resolved = typeof packageData === 'object';
+      entry.esdoc = packageID !== void 0 && (normMaps.normPackageDataESDoc.hasOwnProperty(packageID) ||
+       normMaps.normPackageDataESDocDev.hasOwnProperty(packageID));
+
+      if (entry.resolved) { entry.relativePath = Utils.toPosixPath(packageData.relativePath); }
+
+      if (!entry.esdoc)
+      {
+         const skipped = skippedPackages.get(entry.fullPackage) || skippedPackages.get(entry.declaredPackage) ||
+          skippedPackages.get(entry.packageName);
+
+         if (skipped)
+         {
+            entry.skipReason = skipped.reason;
+            entry.skipMessage = skipped.message;
+         }
+         else if (entry.isTopLevel && entry.scopes.indexOf('dev') >= 0 && entry.scopes.length === 1 &&
+          !options.linkDevPackages)
+         {
+            entry.skipReason = 'devNotLinked';
+            entry.skipMessage = 'dev packages are only linked when the `linkDevPackages` option is enabled';
+         }
+         else if (!entry.isTopLevel && !options.parseDependencies)
+         {
+            entry.skipReason = 'dependenciesNotParsed';
+            entry.skipMessage = 'child packages are only linked when the `parseDependencies` option is enabled';
+         }
+         else if (!entry.resolved)
+         {
+            entry.skipReason = 'unresolved';
+            entry.skipMessage = 'the package could not be resolved as a JSPM package';
+         }
+         else
+         {
+            entry.skipReason = 'notLinked';
+            entry.skipMessage = 'the package is not a dependency of an ESDoc linked package';
+         }
+      }
+
+      return entry;
+   });
+};
 
 /**
- * Filters a package map copying over to output only NPM or GitHub packages.
+ * Creates a map of full package name to the minimum depth of the package by a breadth first traversal of child
+ * packages starting from the top level packages at depth 1.
  *
- * @param {object}   packageMap - Package map to filter.
- * @param {object}   output - An optional output map.
+ * @param {object}         childPackageMap - Child packages keyed by full package name.
+ * @param {Array<string>}  topLevelPackages - Full package names of top level packages.
+ *
+ * @returns {Map<string, number>}
+ */
+const s_CREATE_DEPTH_MAP = (childPackageMap, topLevelPackages) =>
+{
+   const depthMap = new Map();
+
+   let packages = _.uniq(topLevelPackages);
+   let depth = 1;
+
+   while (packages.length > 0)
+   {
+      const nextPackages = [];
+
+      packages.forEach((fullPackage) =>
+      {
+         if (depthMap.has(fullPackage)) { return; }
+
+         depthMap.set(fullPackage, depth);
+
+         const childDepMap = childPackageMap[fullPackage] || {};
+
+         for (const key in childDepMap) { nextPackages.push(childDepMap[key]); }
+      });
+
+      packages = nextPackages;
+      depth++;
+   }
+
+   return depthMap;
+};
+
+/**
+ * Converts an options package array to an object literal w/ no mapped path or returns undefined if there are no
+ * entries, so that all dependencies from `package.json` are resolved.
+ *
+ * @param {Array<string>}  packages - Package names from options.
+ *
+ * @returns {{}|undefined}
+ */
+const s_CREATE_PACKAGE_MAP = (packages) =>
+{
+   if (!Array.isArray(packages) || packages.length === 0) { return void 0; }
+
+   const packageMap = {};
+
+   for (let cntr = 0; cntr < packages.length; cntr++)
+   {
+      packageMap[packages[cntr]] = null;
+   }
+
+   return packageMap;
+};
+
+/**
+ * Parses the packageObj / top level package.json for the JSPM entry to index JSPM `dependencies`, `devDependencies`
+ * or `peerDependencies`. If an existing `jspmPackageMap` object hash exists then only the keys in that hash are
+ * resolved against the entry. This mirrors `JSPMParser.getPackageJSPMDependencies` logging through the build logger,
+ * but as peer dependencies are optional no warning is logged when the `jspm.peerDependencies` entry is missing.
+ *
+ * @param {object}   packageObj     - package.json object
+ * @param {string}   entry          - The `jspm` entry to parse IE `dependencies`.
+ * @param {object}   jspmPackageMap - An optional predefined jspmPackageMap to limit dependency resolution.
+ * @param {Logger}   log            - Logger of the build.
+ *
+ * @returns {{}}
+ */
+const s_GET_PACKAGE_JSPM_DEPENDENCIES = (packageObj, entry, jspmPackageMap, log) =>
+{
+   const isOptional = entry === 'peerDependencies';
+
+   if (typeof packageObj.jspm !== 'object')
+   {
+      if (!isOptional) { log.warn('could not locate `jspm` entry in `package.json`.'); }
+
+      return jspmPackageMap || {};
+   }
+
+   const dependencies = packageObj.jspm[entry];
+
+   if (typeof dependencies !== 'object')
+   {
+      if (!isOptional) { log.warn(`could not locate \`jspm.${entry}\` entry in \`package.json\`.`); }
+
+      return jspmPackageMap || {};
+   }
+
+   // If an existing jspmPackageMap hash is passed in then only resolve entries in the hash.
+   if (typeof jspmPackageMap === 'object')
+   {
+      for (const key in jspmPackageMap)
+      {
+         if (typeof dependencies[key] !== 'undefined')
+         {
+            jspmPackageMap[key] = dependencies[key];
+         }
+         else
+         {
+            log.warn(`could not locate package '${key}' in \`jspm.${entry}\` entry in \`package.json\`.`,
+             { packageName: key });
+         }
+      }
+
+      return jspmPackageMap;
+   }
+
+   return dependencies;
+};
+
+/**
+ * Normalizes each package name with `PackageNormalizer.parseNormalizedPackage` and adds `fullPackage` and `jspmType`
+ * to the normalized data.
+ *
+ * @param {object}         System - SystemJS Loader instance.
+ * @param {Array<string>}  packageNames - Top level package names or full child package names to parse.
+ * @param {boolean}        isChild - Indicates that package names are full child packages IE `npm:underscore@1.8.3`.
+ * @param {string}         rootPath - Root path of the project.
+ * @param {object}         jspmDirectories - The jspm directories relative to the root path.
+ * @param {object}         options - Optional parameters from plugin instance.
+ * @param {Logger}         log - Logger of the build.
+ * @param {function}       [extraParser] - An optional extra parser passed to `PackageNormalizer`.
+ * @param {function}       [recordSkip] - Records the reason a package is skipped for the package report.
+ *
+ * @returns {{normalizedData: Array<object>, parsedPackages: Array<string>}}
+ */
+const s_PARSE_PACKAGES = (System, packageNames, isChild, rootPath, jspmDirectories, options, log, extraParser,
+                          recordSkip = s_NOOP) =>
+{
+   const normalizedData = [];
+   const parsedPackages = [];
+
+   for (let cntr = 0; cntr < packageNames.length; cntr++)
+   {
+      const packageName = packageNames[cntr];
+
+      let normalizedPackage;
+
+      // A broken ESDoc linked package fails the build unless `options.strict` is false in which case it is logged and
+      // skipped. A package directory which does not exist has no ESDoc config, so it is never documented and only
+      // logged as a warning.
+      try
+      {
+         normalizedPackage = PackageNormalizer.parseNormalizedPackage(System, packageName, rootPath,
+          jspmDirectories.packages, log, extraParser);
+      }
+      catch (err)
+      {
+         if (!(err instanceof PackageError)) { throw err; }
+
+         const isMissing = err.code === ErrorCodes.PACKAGE_NOT_FOUND;
+
+         if (options.strict && !isMissing) { throw err; }
+
+         if (s_SKIP_REASONS[err.code]) { recordSkip(packageName, s_SKIP_REASONS[err.code], err.message); }
+
+         log[isMissing ? 'warn' : 'error'](`skipping JSPM package '${packageName}': ${err.message}`, err.toLogData());
+
+         normalizedPackage = null;
+      }
+
+      // Save the normalized data.
+      if (normalizedPackage !== null)
+      {
+         // The full package name of top level packages is parsed from the package path by `PackageNormalizer`, so
+         // that it does not include the source root of ESDoc linked packages.
+         if (isChild || typeof normalizedPackage.fullPackage !== 'string')
+         {
+            normalizedPackage.fullPackage = isChild ? packageName :
+             Utils.parseRelativePath(normalizedPackage.relativePath, jspmDirectories.packages);
+         }
+
+         normalizedPackage.jspmType = normalizedPackage.packageType || normalizedPackage.scmType;
+
+         normalizedData.push(normalizedPackage);
+         parsedPackages.push(packageName);
+      }
+      else
+      {
+         recordSkip(packageName, 'unresolved', 'the package could not be resolved as a JSPM package');
+      }
+   }
+
+   return { normalizedData, parsedPackages };
+};
+
+/**
+ * Filters a package map copying over to output only packages from enabled registries which are also accepted by the
+ * package filter. Any package skipped due to its registry is logged.
+ *
+ * @param {object}         packageMap - Package map to filter.
+ * @param {Array<string>}  registries - Enabled registries IE `['npm', 'github']`.
+ * @param {Logger}         log - Logger of the build.
+ * @param {function}       packageFilter - Returns whether a package name / full package name is included.
+ * @param {function}       [recordSkip] - Records the reason a package is skipped for the package report.
+ * @param {object}         output - An optional output map.
  * @returns {{}}
  */
-const s_FILTER_PACKAGE_MAP = (packageMap, output = {}) =>
+const s_FILTER_PACKAGE_MAP = (packageMap, registries, log, packageFilter, recordSkip = s_NOOP, output = {}) =>
 {
    for (const key in packageMap)
    {
       const value = packageMap[key];
-      if (value.startsWith('npm:') || value.startsWith('github:')) { output[key] = value; }
+
+      if (s_IS_REGISTRY_ENABLED(value, registries, recordSkip))
+      {
+         if (packageFilter(key, value)) { output[key] = value; }
+      }
+      else
+      {
+         log.info(`skipping '${key}' (${value}) as its registry is not enabled by the \`registries\` option.`,
+          { packageName: value });
+      }
    }
 
    return output;
 };
 
 /**
- * Provides an additional parser for ESDoc JSPM packages when using `JSPMParser.normalizePackage`.
+ * Returns whether a full package name IE `npm:underscore@1.8.3` is from one of the enabled registries.
  *
- * @param {object}   result   - Existing JSPMParser parsed package results.
- * @param {boolean}  silent   - Optional boolean to suppress log output.
- * @param {string}   logTitle - Optional string to title log output.
- * @returns {*}
+ * @param {string}         fullPackage - Full package name.
+ * @param {Array<string>}  registries - Enabled registries IE `['npm', 'github']`.
+ * @param {function}       [recordSkip] - Records the reason a package is skipped for the package report.
+ * @returns {boolean}
  */
-const s_PARSE_ESDOC_PACKAGE = (result, silent, logTitle) =>
+const s_IS_REGISTRY_ENABLED = (fullPackage, registries, recordSkip = s_NOOP) =>
 {
-   let packageESDocConfig;
-   let esdocFilename;
+   if (typeof fullPackage !== 'string') { return false; }
+
+   const index = fullPackage.indexOf(':');
+
+   const enabled = index > 0 && registries.indexOf(fullPackage.slice(0, index)) >= 0;
 
-   // Lookup JSPM package ESDoc config file to pull out the source location.
-   for (let cntr = 0; cntr < s_ESDOC_CONFIG_NAMES.length; cntr++)
+   if (!enabled)
    {
-      esdocFilename = s_ESDOC_CONFIG_NAMES[cntr];
-      try
+      recordSkip(fullPackage, 'registry', 'its registry is not enabled by the `registries` option');
+   }
+
+   return enabled;
+};
+
+/**
+ * Defines the `package.json` entries in order of precedence that are inspected to infer the source root of a JSPM
+ * package which does not provide an ESDoc configuration file. The first three entries refer to an entry point file
+ * and the directory of the file is used.
+ * @type {Array<{field: string, isFile: boolean}>}
+ */
+const s_PACKAGE_SOURCE_FIELDS =
+[
+   { field: 'jsnext:main', isFile: true },
+   { field: 'module', isFile: true },
+   { field: 'main', isFile: true },
+   { field: 'directories.lib', isFile: false }
+];
+
+/**
+ * Attempts to infer the source root of a JSPM package from its `package.json` entries defined in
+ * `s_PACKAGE_SOURCE_FIELDS`. A `package.json` which exists, but can not be parsed throws a `PackageError`.
+ *
+ * @param {string}   fullPath - Full path to the JSPM package.
+ * @param {string}   packageName - Full package name or package name of the JSPM package.
+ *
+ * @returns {string|undefined} The inferred source root relative to the package root; `.` is the package root.
+ */
+const s_INFER_PACKAGE_SOURCE = (fullPath, packageName) =>
+{
+   const packagePath = `${fullPath}${path.sep}package.json`;
+
+   if (!fs.existsSync(packagePath)) { return void 0; }
+
+   let packageObj;
+
+   try { packageObj = JSON.parse(fs.readFileSync(packagePath, 'utf-8')); }
+   catch (err)
+   {
+      throw new PackageError(ErrorCodes.PACKAGE_JSON_INVALID, `Could not parse '${packagePath}': ${err.message}`,
+       { file: packagePath, packageName, cause: err });
+   }
+
+   for (let cntr = 0; cntr < s_PACKAGE_SOURCE_FIELDS.length; cntr++)
+   {
+      const entry = s_PACKAGE_SOURCE_FIELDS[cntr];
+
+      // Resolve any nested field such as `directories.lib`.
+      const value = entry.field.split('.').reduce((obj, key) =>
+       obj !== null && typeof obj === 'object' ? obj[key] : void 0, packageObj);
+
+      if (typeof value === 'string' && value !== '')
       {
-         const packageJSON = fs.readFileSync(`${result.fullPath}${path.sep}${esdocFilename}`, 'utf-8');
-         packageESDocConfig = JSON.parse(packageJSON);
+         return entry.isFile ? path.dirname(value) : value;
       }
-      catch (err) { /* ... */ }
+   }
 
-      if (typeof packageESDocConfig !== 'undefined') { break; }
+   return void 0;
+};
+
+/**
+ * Provides an additional parser for ESDoc JSPM packages when using `PackageNormalizer.parseNormalizedPackage`.
+ *
+ * The source root of the package is resolved in the following order:
+ * - `options.packageSources` entry keyed by package name or actual package name.
+ * - `source` entry of an ESDoc configuration in the package root; see `esdocConfigLoader` for the lookup order. An
+ *   ESDoc configuration which can not be loaded is logged and the package is skipped.
+ * - If `options.inferPackageSources` is true the source root is inferred from the packages `package.json`.
+ *
+ * @param {object}   result   - Existing PackageNormalizer parsed package results.
+ * @param {object}   options  - Optional parameters from plugin instance.
+ * @param {Logger}   log      - Logger of the build.
+ * @param {function} [recordSkip] - Records the reason a package is skipped for the package report.
+ * @returns {*}
+ */
+const s_PARSE_ESDOC_PACKAGE = (result, options, log, recordSkip = s_NOOP) =>
+{
+   const reportKey = result.fullPackage || result.packageName;
+
+   let esdocSrcRoot;
+
+   if (typeof options.packageSources[result.packageName] === 'string')
+   {
+      esdocSrcRoot = options.packageSources[result.packageName];
+      result.sourceOrigin = 'option';
+   }
+   else if (typeof options.packageSources[result.actualPackageName] === 'string')
+   {
+      esdocSrcRoot = options.packageSources[result.actualPackageName];
+      result.sourceOrigin = 'option';
    }
 
-   // Verify that the JSPM package esdoc configuration file has loaded otherwise return null to skip this package.
-   if (typeof packageESDocConfig !== 'object')
+   if (typeof esdocSrcRoot !== 'string')
    {
-      return null;
+      // Lookup JSPM package ESDoc config to pull out the source location.
+      let esdocConfig;
+
+      // An ESDoc config of a JSPM package which can not be loaded only skips the package regardless of
+      // `options.strict`; a broken dependency must not fail the build.
+      try { esdocConfig = esdocConfigLoader(result.fullPath, reportKey); }
+      catch (err)
+      {
+         if (!(err instanceof PackageError)) { throw err; }
+
+         recordSkip(reportKey, 'invalidConfig', err.message);
+
+         log.warn(`skipping JSPM package '${result.packageName}': ${err.message}`, err.toLogData());
+
+         return null;
+      }
+
+      if (typeof esdocConfig === 'object')
+      {
+         // Verify that the JSPM package esdoc configuration has a source entry.
+         if (typeof esdocConfig.config.source !== 'string')
+         {
+            recordSkip(reportKey, 'missingSource', `'${esdocConfig.filename}' does not have a valid 'source' entry`);
+
+            throw new PackageError(ErrorCodes.PACKAGE_SOURCE_MISSING,
+             `'${esdocConfig.filename}' does not have a valid 'source' entry`,
+              { file: esdocConfig.filePath, packageName: reportKey });
+         }
+
+         esdocSrcRoot = esdocConfig.config.source;
+         result.esdocConfigFile = esdocConfig.filename;
+         result.sourceOrigin = 'config';
+      }
+      else if (options.inferPackageSources)
+      {
+         esdocSrcRoot = s_INFER_PACKAGE_SOURCE(result.fullPath, reportKey);
+         result.sourceOrigin = 'package.json';
+      }
    }
 
-   // Verify that the JSPM package esdoc configuration file has a source entry.
-   if (typeof packageESDocConfig.source !== 'string')
+   // Verify that a source root has been resolved otherwise return null to skip this package.
+   if (typeof esdocSrcRoot !== 'string')
    {
-      throw new Error(`'${esdocFilename}' does not have a valid 'source' entry`);
+      recordSkip(reportKey, 'noConfig', options.inferPackageSources ?
+       'no ESDoc config, `packageSources` entry or `package.json` entry provides a source root' :
+        'no ESDoc config or `packageSources` entry provides a source root');
+
+      return null;
    }
 
-   // Remove an leading local directory string
-   let esdocSrcRoot = packageESDocConfig.source;
+   // Normalize to a POSIX path removing any leading local directory string and trailing path separator; a source root
+   // of `.` is the root of the JSPM package.
+   esdocSrcRoot = Utils.normalizeRelativePath(esdocSrcRoot);
 
-   esdocSrcRoot = esdocSrcRoot.replace(new RegExp(`^\.${path.sep === '\\' ? `\\${path.sep}` : path.sep}`), '');
+   // A source root at the package root IE inferred from a root level `main` entry limits the files included; see
+   // `onHandleConfig`.
+   result.isPackageRoot = esdocSrcRoot === '';
 
-   // Add to the JSPM package relative path the location of the sources defined in its esdoc.json config.
-   result.relativePath += path.sep + esdocSrcRoot;
+   if (esdocSrcRoot !== '')
+   {
+      // Add to the JSPM package relative path the location of the sources defined in its ESDoc config.
+      result.relativePath = path.join(result.relativePath, esdocSrcRoot);
 
-   // Add to the JSPM package full path the location of the sources defined in its esdoc.json config.
-   result.fullPath += path.sep + esdocSrcRoot;
+      // Add to the JSPM package full path the location of the sources defined in its ESDoc config.
+      result.fullPath = path.join(result.fullPath, esdocSrcRoot);
+   }
 
-   // Provides the normalized JSPM package name + ESDoc source root.
-   result.normalizedPath = result.packageName + path.sep + packageESDocConfig.source;
+   // Provides the normalized JSPM package name + ESDoc source root as a POSIX path.
+   result.normalizedPath = esdocSrcRoot !== '' ? `${result.packageName}/${esdocSrcRoot}` : result.packageName;
 
    // Verify that the full path to the JSPM package source exists.
    if (!fs.existsSync(result.fullPath))
    {
-      throw new Error(`full path generated '${result.fullPath}' does not exist`);
-   }
+      recordSkip(reportKey, 'missingSource', `source root '${esdocSrcRoot}' does not exist`);
 
-   if (!silent)
-   {
-      console.log(`${logTitle} - Info: linked ${result.isAlias ? "aliased " : ""}`
-       + `${result.isDependency ? "dependent " : ""}JSPM package '${result.packageName}' to: ${result.relativePath}`);
+      throw new PackageError(ErrorCodes.PACKAGE_SOURCE_NOT_FOUND,
+       `full path generated '${result.fullPath}' does not exist`, { file: result.fullPath, packageName: reportKey });
    }
 
+   log.info(`linked ${result.isDevScope ? "dev " : ""}${result.isAlias ? "aliased " : ""}`
+    + `${result.isDependency ? "dependent " : ""}JSPM package '${result.packageName}' to: ${result.relativePath}`
+    + ` (source from ${result.sourceOrigin === 'config' ? result.esdocConfigFile : result.sourceOrigin})`,
+     { packageName: reportKey });
+
    return result;
-};
\ No newline at end of file
+};
+
+/**
+ * Defines the package report skip reasons of `PackageError` codes thrown while normalizing a package which are not
+ * recorded by `s_PARSE_ESDOC_PACKAGE`.
+ * @type {object}
+ */
+const s_SKIP_REASONS =
+{
+   [ErrorCodes.PACKAGE_NOT_FOUND]: 'missingPackage',
+   [ErrorCodes.PACKAGE_JSON_INVALID]: 'invalidPackageJSON'
+};
+
+/**
+ * Default no-op for optional callbacks.
+ */
+const s_NOOP = () => {};
@@ -0,0 +1,106 @@
+'use strict';
+
+import fs                           from 'fs-extra';
+import path                         from 'path';
+
+import Utils                        from './Utils.js';
+
+import { escapeHTML }               from './pageWriter.js';
+import { getPackagePageURL }        from './packagePages.js';
+import { serializePackageGraph }    from './packageGraphWriter.js';
+
+/**
+ * Adds the origin package to the entries of the ESDoc search index. Each entry `[indexText, url, displayText, kind]`
+ * associated with the local project or a JSPM package receives the package `{id, name, version, isLocal}` at index 4.
+ * When `linkPackagePages` is enabled an entry of the kind `package` is added for each linked package which is
+ * searchable by package name, alias, actual package name and full package name and leads to the package overview page.
+ *
+ * @param {Array<Array>}   searchIndex - Parsed ESDoc search index.
+ * @param {object}         searchPackages - Package graph node IDs keyed by the search index text of each tag.
+ * @param {object}         packageGraph - Package graphs from `packageGraphParser`.
+ * @param {object}         normPackageDataLinked - Normalized package data for all ESDoc linked JSPM packages.
+ * @param {boolean}        linkPackagePages - When true searchable package entries are added.
+ *
+ * @returns {Array<Array>} The search index.
+ */
+export default function packageSearch(searchIndex, searchPackages, packageGraph, normPackageDataLinked,
+                                      linkPackagePages)
+{
+   const graph = serializePackageGraph(packageGraph.packageGraphAll);
+
+   const rootNodeID = graph.nodes.length ? graph.nodes[0].id : void 0;
+
+   const packages = {};
+
+   graph.nodes.forEach((node) =>
+   {
+      packages[node.id] = { id: node.id, name: node.name, version: node.version, isLocal: node.id === rootNodeID };
+   });
+
+   searchIndex.forEach((entry) =>
+   {
+      const packageID = searchPackages[entry[0]];
+
+      if (packages[packageID]) { entry[4] = packages[packageID]; }
+   });
+
+   if (linkPackagePages)
+   {
+      for (const key in normPackageDataLinked)
+      {
+         const packageData = normPackageDataLinked[key];
+         const packageID = Utils.sanitizePackageID(packageData.fullPackage);
+
+         const names = [packageData.packageName, packageData.actualPackageName, packageData.fullPackage].filter(
+          (name, index, array) => typeof name === 'string' && array.indexOf(name) === index);
+
+         const alias = packageData.isAlias ? ` (${packageData.actualPackageName})` : '';
+
+         searchIndex.push(
+         [
+            names.join(' ').toLowerCase(),
+            getPackagePageURL(packageID),
+            `<span>${escapeHTML(packageData.packageName)}</span> <span class="search-result-import-path">${
+             escapeHTML(`${packageData.version}${alias}`)}</span>`,
+            'package',
+            packages[packageID] || { id: packageID, name: packageData.packageName, version: packageData.version,
+             isLocal: false }
+         ]);
+      }
+   }
+
+   return searchIndex;
+}
+
+/**
+ * Replaces the ESDoc search script `script/search.js` with the bundled package aware search script and copies the
+ * search style sheet to `css/esdoc-plugin-jspm`.
+ *
+ * @param {string}   docDestination - ESDoc destination directory.
+ */
+export function copyPackageSearchAssets(docDestination)
+{
+   fs.copySync(path.join(s_ASSET_PATH, 'search.js'), path.join(docDestination, 'script', 'search.js'));
+
+   fs.copySync(path.join(s_ASSET_PATH, 'search.css'), path.join(docDestination, 'css', 'esdoc-plugin-jspm',
+    'search.css'));
+}
+
+/**
+ * Returns the text ESDoc indexes a tag with in the search index; matches the ESDoc `SearchIndexBuilder`.
+ *
+ * @param {object}   tag - ESDoc tag.
+ * @returns {string}
+ */
+export function getSearchIndexText(tag)
+{
+   return (tag.importPath ? `${tag.importPath}~${tag.name}` : tag.longname).toLowerCase();
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines the path to the bundled search assets.
+ * @type {string}
+ */
+const s_ASSET_PATH = path.resolve(__dirname, '..', 'assets', 'search');
@@ -0,0 +1,70 @@
+'use strict';
+
+import fs                        from 'fs-extra';
+import path                      from 'path';
+
+import Utils                     from './Utils.js';
+
+/**
+ * Writes an additional HTML page to the docs destination using the generated `index.html` as the page layout. The
+ * title and content are replaced, the base URL is set relative to the page location and optional style sheets and
+ * scripts (relative to the docs destination) are added.
+ *
+ * @param {string}   docDestination - ESDoc destination directory.
+ * @param {string}   pagePath - Page path relative to the docs destination IE `package/index.html`.
+ * @param {{title: string, content: string, styles: Array<string>, scripts: Array<string>}}   page - Page data.
+ */
+export default function pageWriter(docDestination, pagePath, { title, content, styles = [], scripts = [] })
+{
+   let html = fs.readFileSync(path.join(docDestination, 'index.html'), 'utf-8');
+
+   // Pages in sub directories resolve all links from the docs destination.
+   const baseUrl = Utils.toPosixPath(path.relative(path.dirname(pagePath), '.'));
+
+   html = html.replace(/<base data-ice="baseUrl"[^>]*>/, `<base data-ice="baseUrl" href="${baseUrl || '.'}/">`);
+
+   html = html.replace(/<title data-ice="title">([^<]*)<\/title>/,
+    (match, docTitle) => `<title data-ice="title">${escapeHTML(title)} | ${docTitle}</title>`);
+
+   const styleLinks = styles.map((style) => `  <link type="text/css" rel="stylesheet" href="${style}">\n`).join('');
+   const scriptTags = scripts.map((script) => `<script src="${script}"></script>\n`).join('');
+
+   html = html.replace('</head>', `${styleLinks}</head>`);
+
+   html = html.replace(/<div class="content" data-ice="content">[\s\S]*<\/div>(\s*<footer)/,
+    (match, footer) => `<div class="content" data-ice="content">${content}</div>${footer}`);
+
+   html = html.replace('</body>', `${scriptTags}</body>`);
+
+   fs.outputFileSync(path.join(docDestination, pagePath), html);
+}
+
+/**
+ * Adds a link after the "Source" link in the header of a generated HTML page.
+ *
+ * @param {string}   html - Generated HTML.
+ * @param {string}   href - Link URL relative to the docs destination.
+ * @param {string}   label - Link label.
+ * @returns {string}
+ */
+export function addHeaderLink(html, href, label)
+{
+   const sourceLink = html.match(/<a href="source\.html">Source<\/a>(\n\s*<a href="[^"]+">[^<]+<\/a>)*/);
+
+   if (sourceLink === null) { return html; }
+
+   const index = sourceLink.index + sourceLink[0].length;
+
+   return `${html.slice(0, index)}\n  <a href="${href}">${label}</a>${html.slice(index)}`;
+}
+
+/**
+ * Escapes a value for HTML.
+ *
+ * @param {*}  value - Value to escape.
+ * @returns {string}
+ */
+export function escapeHTML(value)
+{
+   return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
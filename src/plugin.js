@@ -34,8 +34,52 @@
  *    ]
  * }
  *
- * Each JSPM managed package must also have a valid `.esdocrc` or `esdoc.json` file at it's root that at minimum has a
- * `source` entry so that these sources may be included.
+ * Dev packages (`jspm.devDependencies`) are not linked by default. Set the `linkDevPackages` option to true to also
+ * link ESDoc enabled dev packages. The package data of dev packages has `isDevScope` set and dev packages are labeled
+ * in the generated documentation to keep them separate from main packages.
+ *
+ * In the `onComplete` method the package graphs are written as JSON, Graphviz DOT and GraphML to
+ * `<doc destination>/packageGraphs` or the `packageGraphDirectory` option; disable with `writePackageGraphs: false`.
+ *
+ * A "Dependencies" page (`dependencies.html`) which draws the package graphs is added to the documentation and
+ * linked in the header of all pages; disable with `dependenciesPage: false`. Likewise an overview page for each linked
+ * package and an index page (`package/index.html`) listing all linked packages are added; disable with
+ * `packagePages: false`. Class, function and typedef pages of identifiers from JSPM packages receive a package origin
+ * badge and ancestors from JSPM packages are marked in the inheritance chain; disable with `packageBadges: false`.
+ *
+ * The documentation coverage of the local project and each linked package is written to `coverage-packages.json` and
+ * the "Coverage" page (`package/coverage.html`); disable with `packageCoverage: false`. Set
+ * `packageCoverageBadges: true` to also write a coverage badge for each package to `badge/package/<package ID>.svg`.
+ *
+ * Search index entries record their origin package and version and the ESDoc search script is replaced with a package
+ * aware version which limits results to the local project or a single package; linked packages are searchable by name
+ * and alias leading to their overview page. Disable with `packageSearch: false`.
+ *
+ * Dependency cycles in the package graphs are reported in the log and the graph output and are available as `cycles`
+ * of each graph in `global.$$esdoc_plugin_jspm_package_graph`; set `failOnCycles: true` to fail the build when cycles
+ * are present.
+ *
+ * Parsed package data and package graphs may be cached on disk by enabling the `cache` option; see `PackageCache`.
+ *
+ * All output goes through a leveled logger configured by the `logLevel` and `logFormat` options; a host may receive
+ * all log entries instead of the console by invoking the exported `setLogger` before generating the docs.
+ *
+ * By default only packages from the `npm` and `github` registries are linked. Packages from other registries such as
+ * `bitbucket`, `gitlab`, `local` (linked packages) or any custom / private registry are enabled by adding the registry
+ * names to the `registries` option IE `"registries": ["bitbucket", "local"]`.
+ *
+ * Packages may be filtered with the `includePackages` / `excludePackages` options which accept glob strings, RegExp
+ * literal strings or objects with `name`, `registry` and `version` patterns; see `packageFilter`. Filtered top level and child packages are
+ * not linked, not part of the package graphs and are logged.
+ *
+ * The `maxDepth` option limits the depth of documented packages where top level packages are at depth 1 and their
+ * dependencies at depth 2 and so on. Packages beyond the limit remain in the package graphs as undocumented external
+ * references.
+ *
+ * Each JSPM managed package must also have a valid ESDoc configuration at it's root that at minimum has a
+ * `source` entry so that these sources may be included. The configuration is looked up in order from `.esdocrc`,
+ * `esdoc.json`, `.esdocrc.js`, `esdoc.config.js` and finally an `esdoc` entry in the packages `package.json`. Javascript
+ * configuration modules are only loaded for the root project, so JSPM packages do not run code during a build.
  *
  * Since ESDoc only works with one source root this plugin rewrites in `onHandleConfig` the source root to the parent
  * directory to `.` and builds an `includes` array that includes the original "source" value in addition to normalized
@@ -47,8 +91,13 @@
  * `JSPMParser.getRootPath()` locates the root execution path. The root path is where the JSPM `package.json` is
  * located.
  *
- * In the `onHandleConfig` method below further construction of all resources necessary in code, import, and search
- * processing are constructed.
+ * In the `onHandleConfig` method below further construction of all resources necessary in AST, import, and search
+ * processing are constructed. Every build writes `<doc destination>/report.json` listing whether each top level and
+ * child package is resolved and ESDoc linked or why it is skipped along with the `includes` array and all rewrite
+ * rules; see `reportWriter`.
+ *
+ * In the `onHandleAST` method below the source paths of all import and export statements referencing JSPM packages are
+ * rewritten to paths relative to the importing file, so that inheritance and re-export links resolve.
  *
  * In the `onHandleTag` method below normalized JSPM package data is associated with all JSPM managed code and is
  * accessible with `tag.packageData`. Also a `relativePath` field is added to each tag for the associated file from
@@ -60,17 +109,29 @@
  * global.$$esdoc_plugin_jspm =
  * {
  *    childPackageMap,        // All child packages parsed from System / config.js
+ *    jspmConfigFiles,        // The SystemJS / jspm config files loaded relative to the root path.
+ *    jspmDirectories,        // The jspm `baseURL`, `lib` and `packages` directories relative to the root path.
  *    jspmDevPackageMap,      // Top level JSPM packages taken from options and / or package.json jspm.devDependencies.
  *    jspmPackageMap,         // Top level JSPM packages taken from options and / or package.json jspm.dependencies.
- *    normPackageData,        // Normalized package data for all JSPM managed packages.
- *    normPackageDataESDoc,   // Normalized package data for all ESDoc enabled JSPM managed packages.
+ *    jspmPeerPackageMap,     // Top level JSPM packages taken from options and / or package.json jspm.peerDependencies.
+ *    jspmVersion,            // The detected jspm version of the project; either `0.16` or `0.17`.
+ *    localPathAliases,       // SystemJS `paths` and `map` aliases which resolve to local source code.
+ *    normPackageDataAll,     // Normalized dev, main & peer package data for all JSPM managed packages.
+ *    normPackageDataDev,     // Normalized dev package data for all JSPM managed packages.
+ *    normPackageDataMain,    // Normalized main package data for all JSPM managed packages.
+ *    normPackageDataPeer,    // Normalized peer package data for all JSPM managed packages.
+ *    normPackageDataESDoc,   // Normalized main & peer package data for all ESDoc enabled JSPM managed packages.
+ *    normPackageDataESDocDev, // Normalized dev package data for all ESDoc enabled JSPM managed packages.
+ *    packageReport,          // Link status and skip reason of all top level and child packages.
  *    rootDirName,            // Root directory name.
+ *    rootESDocConfigFile,    // File name of the root project ESDoc config.
  *    rootPackageName,        // Root package name.
  *    rootPath,               // Root path
- *    topLevelPackages,       // All top level dependencies and dev dependencies.
- *    uniqueDeps,             // Unique package dependencies
- *    uniqueDevDeps,          // Unique package dev dependencies
- *    uniqueDepsAll           // All unique package dependencies
+ *    topLevelPackages,       // All top level dependencies, dev dependencies and peer dependencies.
+ *    uniqueDepsAll,          // Unique package dependencies
+ *    uniqueDepsDev,          // Unique package dev dependencies
+ *    uniqueDepsMain,         // All unique package dependencies
+ *    uniqueDepsPeer          // Unique package peer dependencies
  * };
  * ```
  *
@@ -85,32 +146,64 @@
 
 'use strict';
 
+import _                   from 'underscore';
 import fs                  from 'fs-extra';
 import path                from 'path';
 
+import dependenciesPage    from './dependenciesPage.js';
+import Logger              from './Logger.js';
+import PackageCache        from './PackageCache.js';
+import packageBadges       from './packageBadges.js';
+import packageCoverage     from './packageCoverage.js';
 import packageParser       from './packageParser.js';
 import packageGraphParser  from './packageGraphParser.js';
+import packageGraphWriter  from './packageGraphWriter.js';
+import packagePages        from './packagePages.js';
+import packageSearch       from './packageSearch.js';
+import PathIndex           from './PathIndex.js';
+import reportWriter        from './reportWriter.js';
+import Utils               from './Utils.js';
+
+import { copyPackageBadgeAssets,
+         createPackageBadgeIndex }  from './packageBadges.js';
+import { copyPackageSearchAssets,
+         getSearchIndexText }       from './packageSearch.js';
+import { addHeaderLink }            from './pageWriter.js';
+import { ConfigError,
+         ErrorCodes,
+         GraphError }               from './PluginError.js';
 
-let docGitIgnore;
-let docSearchScript;
-
-// Stores all RegExp for JSPM packages to run against generated AST.
-const astReplace = [];
-
-// Stores all RegExp for JSPM packages to run against ES6 import statements.
-const codeReplace = [];
-
-// Stores all from -> to strings to replace to run against ES6 import statements.
-const importReplace = [];
-
-// Stores all RegExp for JSPM packages to run against generated HTML replacing non-normalized paths.
-const htmlReplace = [];
+/**
+ * Stores all state for the current build which is created in `onStart` and cleared in `onComplete`, so replacements,
+ * options and parsed JSPM data are never shared between consecutive builds in the same process (IE a watch task or a
+ * multi-project build). The ESDoc plugin hooks do not identify the build they belong to, so there is only one current
+ * build per process; builds which overlap (IE parallel async tasks) are not supported and must run in separate
+ * processes. Package and graph parsing do not hold any module state.
+ *
+ * @type {{astReplace: Array, coverageConfig: object, docDestination: string, docGitIgnore: string, docSearchScript: string,
+ *         importReplace: Array, jspmData: object, log: Logger, options: object, packageBadgeIndex: object,
+ *         packageCoverage: object, packageDocs: object, packageGraph: object, packageIndex: PathIndex,
+ *         rootPath: string, searchPackages: object}}
+ */
+let build;
 
-// Stores all from -> to strings to replace for JSPM packages in generated search script data.
-const searchReplace = [];
+/**
+ * Stores the host logger set by `setLogger` which is used by all subsequent builds.
+ * @type {function|object|undefined}
+ */
+let hostLogger;
 
-// Stores sanitized option map.
-let options;
+/**
+ * Sets a host logger IE from a gulp task which receives all log entries of subsequent builds instead of the console;
+ * see `Logger`. ESDoc copies plugin options through JSON which drops functions and methods, so a host logger can not
+ * be supplied as a plugin option. Invoke with no logger to restore console output.
+ *
+ * @param {function|object}   [logger] - Function receiving each entry or an object with logging methods.
+ */
+export function setLogger(logger = void 0)
+{
+   hostLogger = logger;
+}
 
 // ESDoc plugin callbacks -------------------------------------------------------------------------------------------
 
@@ -121,11 +214,65 @@ let options;
  */
 export function onStart(ev)
 {
-   options = ev.data.option || {};
+   const options = ev.data.option || {};
    options.packages = Array.isArray(options.packages) ? options.packages : [];
    options.devPackages = Array.isArray(options.devPackages) ? options.devPackages : [];
+   options.peerPackages = Array.isArray(options.peerPackages) ? options.peerPackages : [];
+   options.registries = _.uniq(s_DEFAULT_REGISTRIES.concat(Array.isArray(options.registries) ?
+    options.registries : []));
+   options.includePackages = Array.isArray(options.includePackages) ? options.includePackages : [];
+   options.excludePackages = Array.isArray(options.excludePackages) ? options.excludePackages : [];
+   options.maxDepth = Number.isInteger(options.maxDepth) && options.maxDepth >= 0 ? options.maxDepth : void 0;
    options.parseDependencies = typeof options.parseDependencies === 'boolean' ? options.parseDependencies : true;
-   options.silent = typeof options.silent === 'boolean' ? options.silent : false;
+   options.linkDevPackages = typeof options.linkDevPackages === 'boolean' ? options.linkDevPackages : false;
+   options.inferPackageSources = typeof options.inferPackageSources === 'boolean' ? options.inferPackageSources :
+    false;
+   options.packageSources = typeof options.packageSources === 'object' && options.packageSources !== null ?
+    options.packageSources : {};
+   options.writePackageGraphs = typeof options.writePackageGraphs === 'boolean' ? options.writePackageGraphs : true;
+   options.packageGraphDirectory = typeof options.packageGraphDirectory === 'string' ? options.packageGraphDirectory :
+    void 0;
+   options.dependenciesPage = typeof options.dependenciesPage === 'boolean' ? options.dependenciesPage : true;
+   options.packagePages = typeof options.packagePages === 'boolean' ? options.packagePages : true;
+   options.packageBadges = typeof options.packageBadges === 'boolean' ? options.packageBadges : true;
+   options.packageCoverage = typeof options.packageCoverage === 'boolean' ? options.packageCoverage : true;
+   options.packageCoverageBadges = typeof options.packageCoverageBadges === 'boolean' ?
+    options.packageCoverageBadges : false;
+   options.packageSearch = typeof options.packageSearch === 'boolean' ? options.packageSearch : true;
+   options.failOnCycles = typeof options.failOnCycles === 'boolean' ? options.failOnCycles : false;
+   options.strict = typeof options.strict === 'boolean' ? options.strict : true;
+   options.cache = typeof options.cache === 'boolean' ? options.cache : false;
+   options.cacheDirectory = typeof options.cacheDirectory === 'string' ? options.cacheDirectory :
+    s_DEFAULT_CACHE_DIRECTORY;
+
+   // The logger of this build; `logLevel` replaces the deprecated `silent` and `verbose` options. Any `logger` option
+   // has been copied through JSON by ESDoc, so only a host logger from `setLogger` is used.
+   options.logger = hostLogger;
+
+   const log = new Logger(options);
+   options.logLevel = log.level;
+   options.logFormat = log.format;
+
+   // Create the state for this build.
+   build =
+   {
+      astReplace: [],         // RegExp for JSPM packages to run against the source nodes of module statements.
+      coverageConfig: void 0, // ESDoc config entries which filter the identifiers counted for the coverage.
+      docDestination: void 0, // ESDoc destination directory.
+      docGitIgnore: void 0,   // Path to the `.gitignore` file written to the docs destination.
+      docSearchScript: void 0, // Path to <doc destination>/script/search_index.js.
+      importReplace: [],      // From -> to strings to replace to run against ES6 import statements.
+      jspmData: void 0,       // Parsed JSPM data; also exported to `global.$$esdoc_plugin_jspm`.
+      log,                    // Leveled logger of this build.
+      options,                // Sanitized option map.
+      packageBadgeIndex: void 0, // Package badges keyed by page URL and ancestor markers keyed by class page URL.
+      packageCoverage: {},    // Coverage counts `{expectCount, actualCount}` keyed by package graph node ID.
+      packageDocs: {},        // Documented identifiers `{kind, name, url}` keyed by package graph node ID.
+      packageGraph: void 0,   // Package graphs from `packageGraphParser`.
+      packageIndex: void 0,   // Prefix index of the relative paths of all JSPM packages.
+      rootPath: void 0,       // The root path where the JSPM `package.json` is located.
+      searchPackages: {}      // Package graph node IDs keyed by the search index text of each tag.
+   };
 }
 
 /**
@@ -140,210 +287,274 @@ export function onHandleConfig(ev)
 {
    // Store destination for sources, gitignore and create the path to <doc destination>/script/search_index.js
    const docDestination = ev.data.config.destination;
-   docGitIgnore = `${docDestination}${path.sep}.gitignore`;
-   docSearchScript = `${docDestination}${path.sep}script${path.sep}search_index.js`;
+   build.docDestination = docDestination;
+   build.docGitIgnore = `${docDestination}${path.sep}.gitignore`;
+   build.docSearchScript = `${docDestination}${path.sep}script${path.sep}search_index.js`;
+
+   // ESDoc applies its defaults after `onHandleConfig`, so the same defaults are applied for the coverage filter.
+   const config = ev.data.config;
+
+   build.coverageConfig =
+   {
+      access: Array.isArray(config.access) ? config.access : ['public', 'protected'],
+      autoPrivate: 'autoPrivate' in config ? config.autoPrivate : true,
+      undocumentIdentifier: 'undocumentIdentifier' in config ? config.undocumentIdentifier : true,
+      unexportIdentifier: 'unexportIdentifier' in config ? config.unexportIdentifier : false
+   };
 
    // The source root is rewritten, so save the current value.
    let localSrcRoot = ev.data.config.source;
 
    ev.data.config.source = '.';
 
-   // Parse package data storing results in `global.$$esdoc_plugin_jspm`.
-   packageParser(ev.data.config, options);
-   packageGraphParser(options);
+   // Parse package data storing results in `global.$$esdoc_plugin_jspm` unless a valid package cache exists.
+   const cached = build.options.cache ? PackageCache.load(ev.data.config, build.options, build.log) : void 0;
 
-   // Retrieve required JSPM package and path data.
-   const { normPackageDataAll, normPackageDataESDoc, rootDirName, rootPackageName, rootPath } =
-    global.$$esdoc_plugin_jspm;
+   if (cached)
+   {
+      build.jspmData = cached.jspmData;
+      build.packageGraph = cached.packageGraph;
+   }
+   else
+   {
+      build.jspmData = packageParser(ev.data.config, build.options, build.log);
+      build.packageGraph = packageGraphParser(build.options, build.jspmData, build.log);
 
-   const localSrcFullPath = rootPath + path.sep + localSrcRoot;
+      if (build.options.cache)
+      {
+         PackageCache.save(ev.data.config, build.options, build.jspmData, build.packageGraph, build.log);
+      }
+   }
 
-   if (!fs.existsSync(localSrcFullPath))
+   // Report any dependency cycles in the package graphs.
+   let hasCycles = false;
+
+   for (const graphName in build.packageGraph)
    {
-      if (!options.silent)
+      // IE `packageGraphAll` -> `all`.
+      const scope = graphName.replace(/^packageGraph/, '').toLowerCase();
+
+      build.packageGraph[graphName].cycles.forEach((cycle) =>
       {
-         console.log(`esdoc-plugin-jspm - Error: could not locate local source path: '${localSrcFullPath}'`);
-      }
-      throw new Error();
+         hasCycles = true;
+
+         build.log.log(build.options.failOnCycles ? 'error' : 'warn',
+          `dependency cycle in '${scope}' packages: ${cycle.join(' <-> ')}`, { scope, cycle });
+      });
    }
 
-   // Remove an leading local directory string
-   localSrcRoot = localSrcRoot.replace(new RegExp(`^\.${path.sep === '\\' ? `\\${path.sep}` : path.sep}`), '');
+   if (hasCycles && build.options.failOnCycles)
+   {
+      throw new GraphError(ErrorCodes.DEPENDENCY_CYCLES,
+       'esdoc-plugin-jspm - dependency cycles detected in the JSPM package graph.');
+   }
 
-   if (!options.silent)
+   // Package graphs are written by default to `<doc destination>/packageGraphs`.
+   if (typeof build.options.packageGraphDirectory !== 'string')
    {
-      console.log(`esdoc-plugin-jspm - Info: operating in root path: '${rootPath}'`);
-      console.log(`esdoc-plugin-jspm - Info: linked local source root: '${localSrcRoot}'`);
+      build.options.packageGraphDirectory = `${docDestination}${path.sep}packageGraphs`;
    }
 
+   // Retrieve required JSPM package and path data.
+   const { localPathAliases, normPackageDataAll, normPackageDataESDoc, normPackageDataESDocDev, rootDirName,
+    rootPackageName } = build.jspmData;
+
+   // All ESDoc linked packages; dev packages are only present when `options.linkDevPackages` is enabled.
+   const normPackageDataLinked = _.extend({}, normPackageDataESDoc, normPackageDataESDocDev);
+
+   build.rootPath = build.jspmData.rootPath;
+
+   const localSrcFullPath = build.rootPath + path.sep + localSrcRoot;
+
+   if (!fs.existsSync(localSrcFullPath))
+   {
+      throw new ConfigError(ErrorCodes.LOCAL_SOURCE_NOT_FOUND,
+       `esdoc-plugin-jspm - could not locate local source path: '${localSrcFullPath}'`, { file: localSrcFullPath });
+   }
+
+   // Normalize the local source root to a POSIX path without a leading local directory string.
+   localSrcRoot = Utils.normalizeRelativePath(localSrcRoot);
+
+   build.log.info(`operating in root path: '${build.rootPath}'`);
+   build.log.info(`linked local source root: '${localSrcRoot}'`);
+
+   // All paths below are normalized to POSIX paths and any literal used in a RegExp is escaped, so that the generated
+   // docs and import paths are identical on all platforms and for any package name.
+
    let regex;
 
    // Process ast replacements --------------------------------------------------------------------------------------
 
-   // Process all associated JSPM packages.
-
+   // Process all associated JSPM packages. Import paths always use `/`.
    for (const key in normPackageDataAll)
    {
       const packageData = normPackageDataAll[key];
 
-      regex = new RegExp(`^${packageData.packageName}${path.sep}`, 'g');
-      astReplace.push({ from: regex, to: `${packageData.relativePath}${path.sep}` });
+      regex = new RegExp(`^${Utils.escapeRegExp(packageData.packageName)}/`);
+      build.astReplace.push({ from: regex, to: `${Utils.toPosixPath(packageData.relativePath)}/` });
 
       if (packageData.hasMainEntry)
       {
-         regex = new RegExp(`^${packageData.packageName}$`, 'g');
-         astReplace.push({ from: regex, to: `${packageData.relativePathMain}` });
+         regex = new RegExp(`^${Utils.escapeRegExp(packageData.packageName)}$`);
+         build.astReplace.push({ from: regex, to: Utils.toPosixPath(packageData.relativePathMain) });
       }
    }
 
-   // Process include paths -----------------------------------------------------------------------------------------
-
-   // Include the source root of this repos code.
-   const includes = [`^${localSrcRoot}`];
-
-   // Add the source roots of all associated jspm packages.
-   for (const key in normPackageDataESDoc)
+   // Process all SystemJS `paths` and `map` aliases to local source code.
+   for (let cntr = 0; cntr < localPathAliases.length; cntr++)
    {
-      const packageData = normPackageDataESDoc[key];
+      const alias = localPathAliases[cntr];
+      const name = Utils.escapeRegExp(alias.name);
 
-      if (packageData.relativePath) { includes.push(`^${packageData.relativePath}`); }
+      regex = new RegExp(alias.isPrefix ? `^${name}` : `^${name}$`);
+      build.astReplace.push({ from: regex, to: Utils.toPosixPath(alias.relativePath) });
    }
 
-   ev.data.config.includes = includes;
+   // Process include paths -----------------------------------------------------------------------------------------
 
-   // Process code import replacements ------------------------------------------------------------------------------
+   // Include the source root of this repos code. Overriding `includes` removes the ESDoc default which limits parsing
+   // to Javascript files, so each source root is limited to Javascript files as a JSPM package source root may be the
+   // package root. ESDoc tests includes against platform specific paths, so separators match `/` and `\`.
+   const localSrcPattern = localSrcRoot !== '' ? `${Utils.createPathPattern(localSrcRoot)}[\\\\/]` : '';
+   const includes = [`^${localSrcPattern}.*\\.(js|es6)$`];
 
-   // Process all associated JSPM packages.
-   for (const key in normPackageDataESDoc)
+   // Add the source roots of all associated jspm packages. A source root at the package root excludes minified files,
+   // test directories and nested `node_modules`.
+   for (const key in normPackageDataLinked)
    {
-      const packageData = normPackageDataESDoc[key];
+      const packageData = normPackageDataLinked[key];
 
-      regex = new RegExp(`from[\\s]+(\'|")${packageData.normalizedPath}`, 'g');
-      codeReplace.push({ from: regex, to: packageData.fullPath });
+      if (packageData.relativePath)
+      {
+         const exclude = packageData.isPackageRoot ? s_PACKAGE_ROOT_EXCLUDE : '';
+
+         includes.push(`^${Utils.createPathPattern(packageData.relativePath)}[\\\\/]${exclude}.*\\.(js|es6)$`);
+      }
    }
 
-   // Process source code import replacements -----------------------------------------------------------------------
+   ev.data.config.includes = includes;
 
-   // Create import replacements.
-   const wrongImportBase = `${rootPackageName}${path.sep}${rootDirName}${path.sep}`;
+   // Process source code import replacements -----------------------------------------------------------------------
 
-   let wrongImport = `${wrongImportBase}${localSrcRoot}`;
-   let actualImport = `${rootPackageName}${path.sep}${localSrcRoot}`;
+   // Create import replacements; ESDoc import paths always use `/`.
+   const wrongImportBase = `${rootPackageName}/${rootDirName}`;
 
-   importReplace.push({ from: wrongImport, to: actualImport });
+   build.importReplace.push(localSrcRoot !== '' ?
+    { from: `${wrongImportBase}/${localSrcRoot}`, to: `${rootPackageName}/${localSrcRoot}` } :
+     { from: wrongImportBase, to: rootPackageName });
 
    // Process all associated JSPM packages.
-   for (const key in normPackageDataESDoc)
+   for (const key in normPackageDataLinked)
    {
-      const packageData = normPackageDataESDoc[key];
+      const packageData = normPackageDataLinked[key];
 
-      wrongImport = wrongImportBase + packageData.relativePath;
-      actualImport = packageData.normalizedPath;
-
-      importReplace.push({ from: wrongImport, to: actualImport });
+      build.importReplace.push(
+      {
+         from: `${wrongImportBase}/${Utils.toPosixPath(packageData.relativePath)}`,
+         to: Utils.toPosixPath(packageData.normalizedPath)
+      });
    }
 
-   // Process HTML replacements -------------------------------------------------------------------------------------
+   // The longest matching path is replaced.
+   build.importReplace.sort((a, b) => b.from.length - a.from.length);
 
-   // Process all associated JSPM packages.
-   for (const key in normPackageDataESDoc)
-   {
-      const packageData = normPackageDataESDoc[key];
-      const actualPackageName = packageData.isAlias ? `(${packageData.actualPackageName}):<br>` : '';
+   // Process package path index ----------------------------------------------------------------------------------
 
-      regex = new RegExp(`>${rootDirName}${path.sep}${packageData.relativePath}`, 'g');
-      htmlReplace.push({ from: regex, to: `>${actualPackageName}${packageData.normalizedPath}` });
+   // The relative paths of all JSPM packages are indexed once for tag association, HTML and search index rewriting
+   // which all resolve the longest matching package path.
+   build.packageIndex = new PathIndex('/');
 
-      regex = new RegExp(`>${packageData.relativePath}`, 'g');
-      htmlReplace.push({ from: regex, to: `>${actualPackageName}${packageData.normalizedPath}` });
+   for (const key in normPackageDataAll)
+   {
+      build.packageIndex.set(Utils.toPosixPath(normPackageDataAll[key].relativePath),
+       { packageData: normPackageDataAll[key] });
    }
 
-   // Process search index replacements -----------------------------------------------------------------------------
-
-   // Process all associated JSPM packages.
-   for (const key in normPackageDataESDoc)
+   // The relative path of linked packages includes the ESDoc source root, so these paths are indexed additionally with
+   // the normalized path and HTML label replacing the full path in generated HTML and search data.
+   for (const key in normPackageDataLinked)
    {
-      const packageData = normPackageDataESDoc[key];
+      const packageData = normPackageDataLinked[key];
+      const actualPackageName = packageData.isAlias ? `(${packageData.actualPackageName}):<br>` : '';
+      const normalizedPath = Utils.toPosixPath(packageData.normalizedPath);
+
+      // Dev packages are labeled to keep them separate from main packages.
+      const devScope = packageData.isDevScope ? '[dev]<br>' : '';
 
-      const fromValue = rootDirName + path.sep + packageData.relativePath;
-      searchReplace.push({ from: fromValue, to: packageData.normalizedPath });
+      build.packageIndex.set(Utils.toPosixPath(packageData.relativePath),
+      {
+         packageData: normPackageDataAll[key] || packageData,
+         htmlLabel: `${devScope}${actualPackageName}${normalizedPath}`,
+         normalizedPath
+      });
    }
+
+   // Write the package link status, includes and rewrite rules of this build.
+   reportWriter(docDestination, build.jspmData,
+    { includes, astReplace: build.astReplace, importReplace: build.importReplace, packageIndex: build.packageIndex });
 }
 
 /**
- * Forthcoming support for AST modification for 0.7.0 release of `esdoc-plugin-jspm`.
+ * For all module statements in all source files replace any normalized JSPM package paths with the path relative to
+ * the source file which resolves to the associated package in 'jspm_packages'. Likewise SystemJS `paths` and `map`
+ * aliases to local source code are replaced with the path relative to the source file. The source nodes of
+ * `ImportDeclaration`, `ExportNamedDeclaration` and `ExportAllDeclaration` are processed. Any modified source node
+ * retains the original value / raw string respectively in `originalValue` / `originalRaw` and all processed source
+ * nodes have `isModified` set.
  *
- * For all imports in all source files replace any normalized JSPM package paths with the relative path to the source
- * file in 'jspm_packages'.
- *
- * @param {object}   ev - Event from ESDoc containing data field.
- */
-// export function onHandleAST(ev)
-// {
-//    const relativePath = path.relative(rootPath, ev.data.filePath);
-//    const relativeDir = relativePath.slice(0, relativePath.lastIndexOf(path.sep))
-//
-//    console.log('!! EPJ - onHandleAST - relativeDir: ' + relativeDir +'; relativePath: ' + relativePath);
-//
-//    ASTUtil.traverse(ev.data.ast, (node, parent) =>
-//    {
-//       if (node.type === 'ImportDeclaration' && node.source)
-//       {
-//          if (node.source.value)
-//          {
-//             console.log('!! EPJ - onHandleAST - node: ' + JSON.stringify(node));
-//
-//             for (let cntr = 0; cntr < astReplace.length; cntr++)
-//             {
-//                if (astReplace[cntr].from.test(node.source.value))
-//                {
-//                   // Get relative path from current source directory to replace path; note that any trailing path
-//                   // separator is dropped and must be added to the calculated path.
-//                   const replacePath = path.relative(relativeDir, astReplace[cntr].to)
-//                    + (astReplace[cntr].to.endsWith(path.sep) ? path.sep : '');
-//
-//                   console.log('!! EPJ - onHandleAST - found node.source.value: ' + node.source.value + '; replacePath: ' + replacePath);
-//
-//                   node.source.isModified = true;
-//
-//                   node.source.originalValue = node.source.value
-//
-//                   node.source.value = node.source.value.replace(astReplace[cntr].from, replacePath);
-//
-//                   if (node.source.raw)
-//                   {
-//                      node.source.raw = `'${node.source.value}'`
-//                      node.source.originalRaw = `'${node.source.originalValue}'`
-//                   }
-//                }
-//             }
-//
-//             // Set isModified to false if not replacement occurred.
-//             if (typeof node.source.isModified !== 'boolean') { node.source.isModified = false; }
-//          }
-//       }
-//    });
-// }
-
-/**
- * For all imports in all source files replace any normalized JSPM package paths with the actual full path to the source
- * file in 'jspm_packages'.
+ * Module statements may only occur at the top level of a module, so only the body of the program node is inspected.
  *
  * @param {object}   ev - Event from ESDoc containing data field.
  */
-export function onHandleCode(ev)
+export function onHandleAST(ev)
 {
-   for (let cntr = 0; cntr < codeReplace.length; cntr++)
+   const body = ev.data.ast && Array.isArray(ev.data.ast.body) ? ev.data.ast.body : [];
+
+   // Directory of the source file which all replacement paths are relative to.
+   const fileDir = path.dirname(path.resolve(ev.data.filePath));
+
+   for (let cntr = 0; cntr < body.length; cntr++)
    {
-      (function(codeReplace)
+      const node = body[cntr];
+
+      if (!s_MODULE_SOURCE_TYPES.includes(node.type) || !node.source || typeof node.source.value !== 'string')
+      {
+         continue;
+      }
+
+      const source = node.source;
+
+      source.isModified = false;
+
+      for (let cntr2 = 0; cntr2 < build.astReplace.length; cntr2++)
       {
-         // Must construct the replacement as either `'` or `"` can be used to surround the import statement.
-         // `p1` is the quote format captured by the regex.
-         ev.data.code = ev.data.code.replace(codeReplace.from, (match, p1) =>
+         const replace = build.astReplace[cntr2];
+
+         if (!replace.from.test(source.value)) { continue; }
+
+         // Get relative path from current source directory to replace path; note that any trailing path separator is
+         // dropped by `path.relative` and must be added to the calculated path.
+         let replacePath = Utils.toPosixPath(path.relative(fileDir, path.resolve(build.rootPath, replace.to)))
+          + (replace.to.endsWith('/') ? '/' : '');
+
+         // ESDoc only resolves import paths relative to the source file when they start with `.`.
+         if (!replacePath.startsWith('.')) { replacePath = `./${replacePath}`; }
+
+         source.originalValue = source.value;
+         source.value = source.value.replace(replace.from, replacePath);
+         source.isModified = true;
+
+         if (typeof source.raw === 'string')
          {
-            return `from ${p1}${codeReplace.to}`;
-         });
-      })(codeReplace[cntr]);
+            // Preserve the quote format of the original statement.
+            const quote = source.raw.charAt(0);
+
+            source.originalRaw = source.raw;
+            source.raw = `${quote}${source.value}${quote}`;
+         }
+
+         break;
+      }
    }
 }
 
@@ -360,7 +571,16 @@ export function onHandleCode(ev)
  */
 export function onHandleTag(ev)
 {
-   const { normPackageDataAll } = global.$$esdoc_plugin_jspm;
+   const { jspmDirectories } = build.jspmData;
+
+   const packagesDir = `${Utils.toPosixPath(jspmDirectories.packages)}/`;
+
+   // The root node of the package graphs is the local project.
+   const rootNodeID = build.packageGraph.packageGraphAll.nodes.length ? build.packageGraph.packageGraphAll.nodes[0].id :
+    void 0;
+
+   // Identifiers which ESDoc removes before writing `coverage.json` are not counted for the package coverage.
+   const coverageIgnored = s_GET_COVERAGE_IGNORED(ev.data.tag, build.coverageConfig);
 
    // Perform import replacement.
    for (let cntr = 0; cntr < ev.data.tag.length; cntr++)
@@ -373,27 +593,67 @@ export function onHandleTag(ev)
          tag.relativePath = tag.longname.split('~')[0].replace(/^.*?[/]/, '');
       }
 
-      // Associate JSPM package data to tag.
-      // TODO: This is a potential performance issue with many tags and many packages.
-      if (tag.relativePath.startsWith('jspm_packages'))
+      // Associate JSPM package data of the longest matching package path to tag.
+      if (tag.relativePath.startsWith(packagesDir))
       {
          tag.packageManager = 'jspm';
 
-         for (const key in normPackageDataAll)
-         {
-            const packageData = normPackageDataAll[key];
+         const match = build.packageIndex.find(tag.relativePath);
 
-            if (tag.relativePath.startsWith(packageData.relativePath)) { tag.packageData = packageData; break; }
-         }
+         if (match) { tag.packageData = match.value.packageData; }
+      }
+
+      // Local identifiers belong to the root node of the package graphs.
+      const nodeID = tag.packageData ? Utils.sanitizePackageID(tag.packageData.fullPackage) : rootNodeID;
+
+      // Count the identifiers of the ESDoc coverage by package graph node ID.
+      if (s_COVERAGE_KINDS.indexOf(tag.kind) >= 0 && (tag.packageData || tag.packageManager !== 'jspm') &&
+       !s_IS_COVERAGE_IGNORED(tag, coverageIgnored))
+      {
+         if (!build.packageCoverage[nodeID]) { build.packageCoverage[nodeID] = { expectCount: 0, actualCount: 0 }; }
+
+         build.packageCoverage[nodeID].expectCount++;
+
+         if (!tag.undocument) { build.packageCoverage[nodeID].actualCount++; }
+      }
+
+      // Store documented classes, functions and typedefs by package graph node ID for the dependencies and package
+      // pages.
+      if (s_PACKAGE_DOC_KINDS.indexOf(tag.kind) >= 0 && !tag.builtinVirtual && !tag.ignore &&
+       (tag.packageData || tag.packageManager !== 'jspm'))
+      {
+
+         if (!build.packageDocs[nodeID]) { build.packageDocs[nodeID] = []; }
+
+         // Matches the page URLs of the ESDoc `DocBuilder`.
+         const url = tag.kind === 'class' ? `class/${tag.longname}.html` :
+          `${tag.kind}/index.html#${tag.static ? 'static' : 'instance'}-${tag.kind}-${tag.name}`;
+
+         build.packageDocs[nodeID].push({ kind: tag.kind, name: tag.name, url });
       }
 
       if (tag.importPath)
       {
-         for (let cntr2 = 0; cntr2 < importReplace.length; cntr2++)
-         {
-            tag.importPath = tag.importPath.replace(importReplace[cntr2].from, importReplace[cntr2].to);
-         }
+         const importPath = Utils.toPosixPath(tag.importPath);
+
+         const replace = build.importReplace.find((entry) =>
+          importPath === entry.from || importPath.startsWith(`${entry.from}/`));
+
+         tag.importPath = replace ? replace.to + importPath.slice(replace.from.length) : importPath;
       }
+
+      // Store the package of the search index entry of the tag; built-in externals do not belong to a package.
+      if (!tag.builtinVirtual && !tag.builtinExternal && (tag.packageData || tag.packageManager !== 'jspm'))
+      {
+         build.searchPackages[getSearchIndexText(tag)] = nodeID;
+      }
+   }
+
+   // Index the package badges of all documented identifiers once, so that each page only performs a single lookup.
+   if (build.options.packageBadges)
+   {
+      build.packageBadgeIndex = createPackageBadgeIndex(build.packageDocs, build.jspmData.normPackageDataAll,
+       build.options.packagePages);
    }
 }
 
@@ -407,47 +667,220 @@ export function onHandleHTML(ev)
 {
    if (ev.data.fileName.endsWith('.html'))
    {
-      for (let cntr = 0; cntr < htmlReplace.length; cntr++)
+      const rootPrefix = `${build.jspmData.rootDirName}/`;
+
+      // Replace the full path of linked packages at the start of text nodes in a single pass; the path may be prefixed
+      // by the root directory name.
+      ev.data.html = ev.data.html.replace(/>([^<]+)/g, (text, value) =>
+      {
+         const match = (value.startsWith(rootPrefix) && build.packageIndex.find(value, rootPrefix.length)) ||
+          build.packageIndex.find(value);
+
+         return match && match.value.htmlLabel ? `>${match.value.htmlLabel}${value.slice(match.end)}` : text;
+      });
+
+      if (build.options.dependenciesPage)
+      {
+         ev.data.html = addHeaderLink(ev.data.html, 'dependencies.html', 'Dependencies');
+      }
+
+      if (build.options.packagePages) { ev.data.html = addHeaderLink(ev.data.html, 'package/index.html', 'Packages'); }
+
+      if (build.options.packageCoverage)
+      {
+         ev.data.html = addHeaderLink(ev.data.html, 'package/coverage.html', 'Coverage');
+      }
+
+      if (build.options.packageBadges && build.packageBadgeIndex)
       {
-         ev.data.html = ev.data.html.replace(htmlReplace[cntr].from, htmlReplace[cntr].to);
+         ev.data.html = packageBadges(ev.data.html, ev.data.fileName, build.packageBadgeIndex);
+      }
+
+      if (build.options.packageSearch)
+      {
+         ev.data.html = ev.data.html.replace('</head>',
+          '  <link type="text/css" rel="stylesheet" href="css/esdoc-plugin-jspm/search.css">\n</head>');
       }
    }
 }
 
 /**
- * The search data file must have JSPM package paths replaced with normalized versions.
+ * The search data file must have JSPM package paths replaced with normalized versions and entries receive their origin
+ * package.
  */
 export function onComplete()
 {
-   let buffer = fs.readFileSync(docSearchScript, 'utf8');
+   let buffer = fs.readFileSync(build.docSearchScript, 'utf8');
 
    // Remove the leading Javascript assignment so we are left with a JSON file.
    buffer = buffer.replace('window.esdocSearchIndex = ', '');
 
    const json = JSON.parse(buffer);
 
+   const rootPrefix = `${build.jspmData.rootDirName}/`;
+
    // Replace all long JSPM paths with normalized paths.
    for (let cntr = 0; cntr < json.length; cntr++)
    {
       // Index 2 is the name of the entry.
       const entry = json[cntr];
-      if (entry.length >= 2)
+
+      if (entry.length >= 2 && typeof entry[2] === 'string' && entry[2].startsWith(rootPrefix))
       {
-         for (let cntr2 = 0; cntr2 < searchReplace.length; cntr2++)
-         {
-            entry[2] = entry[2].replace(searchReplace[cntr2].from, searchReplace[cntr2].to);
-         }
+         const match = build.packageIndex.find(entry[2], rootPrefix.length);
+
+         if (match && match.value.normalizedPath) { entry[2] = match.value.normalizedPath + entry[2].slice(match.end); }
       }
    }
 
+   // Add the origin package to all entries and searchable package entries.
+   if (build.options.packageSearch)
+   {
+      const { normPackageDataESDoc, normPackageDataESDocDev } = build.jspmData;
+
+      packageSearch(json, build.searchPackages, build.packageGraph,
+       _.extend({}, normPackageDataESDoc, normPackageDataESDocDev), build.options.packagePages);
+
+      copyPackageSearchAssets(build.docDestination);
+   }
+
    // Rewrite the search_index.js file
    buffer = `window.esdocSearchIndex = ${JSON.stringify(json, null, 2)}`;
 
-   fs.writeFileSync(docSearchScript, buffer);
+   fs.writeFileSync(build.docSearchScript, buffer);
 
    // Create a `.gitignore` file that prevents checking in unnecessary ESDoc files like the AST and other generated
-   // assets that are not necessary for viewing the docs. Also unprotects any jspm_packages directive from a
-   // parent .gitignore as generated docs from JSPM packages will output to child directories with `jspm_packages`.
-   const gitIgnore = '!jspm_packages\n!node_modules\n';
-   fs.writeFileSync(docGitIgnore, gitIgnore);
-}
\ No newline at end of file
+   // assets that are not necessary for viewing the docs. Also unprotects any directive for each directory of the jspm
+   // packages path from a parent .gitignore as generated docs from JSPM packages will output to child directories with
+   // the packages path IE `jspm_packages`.
+   const { jspmDirectories } = build.jspmData;
+
+   const gitIgnore = Utils.toPosixPath(jspmDirectories.packages).split('/').concat(['node_modules']).map((dir) =>
+    `!${dir}\n`);
+
+   fs.writeFileSync(build.docGitIgnore, _.uniq(gitIgnore).join(''));
+
+   // Write the "Dependencies" page.
+   if (build.options.dependenciesPage)
+   {
+      dependenciesPage(build.docDestination, build.packageGraph, build.packageDocs);
+   }
+
+   if (build.options.packageBadges) { copyPackageBadgeAssets(build.docDestination); }
+
+   // Write the package overview pages.
+   if (build.options.packagePages)
+   {
+      const { normPackageDataESDoc, normPackageDataESDocDev } = build.jspmData;
+
+      packagePages(build.docDestination, _.extend({}, normPackageDataESDoc, normPackageDataESDocDev),
+       build.packageGraph, build.packageDocs);
+   }
+
+   // Write the documentation coverage of the local project and each package.
+   if (build.options.packageCoverage)
+   {
+      packageCoverage(build.docDestination, build.packageGraph, build.packageCoverage,
+       build.options.packageCoverageBadges);
+   }
+
+   // Write the package graphs as JSON, Graphviz DOT and GraphML.
+   if (build.options.writePackageGraphs)
+   {
+      packageGraphWriter(build.packageGraph, build.options.packageGraphDirectory);
+
+      build.log.info(`wrote package graphs to: '${build.options.packageGraphDirectory}'`);
+   }
+
+   // Release the state of this build.
+   build = void 0;
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines the AST node types of module statements which may have a `source` entry.
+ * @type {string[]}
+ */
+const s_MODULE_SOURCE_TYPES = ['ImportDeclaration', 'ExportNamedDeclaration', 'ExportAllDeclaration'];
+
+/**
+ * Defines the registries that are always enabled; additional registries are added by the `registries` option.
+ * @type {string[]}
+ */
+const s_DEFAULT_REGISTRIES = ['npm', 'github'];
+
+/**
+ * Defines the RegExp source excluding minified files, test directories and nested `node_modules` from the includes of
+ * JSPM packages whose source root is the package root.
+ * @type {string}
+ */
+const s_PACKAGE_ROOT_EXCLUDE = '(?!(?:.*[\\\\/])?(?:node_modules|tests?|__tests__)[\\\\/])(?!.*\\.min\\.js$)';
+
+/**
+ * Defines the default package cache directory relative to the root path.
+ * @type {string}
+ */
+const s_DEFAULT_CACHE_DIRECTORY = 'node_modules/.cache/esdoc-plugin-jspm';
+
+/**
+ * Defines the documented identifier kinds which are associated to packages for the dependencies and package pages.
+ * @type {string[]}
+ */
+const s_PACKAGE_DOC_KINDS = ['class', 'function', 'typedef'];
+
+/**
+ * Defines the identifier kinds which are counted for the documentation coverage; matches the ESDoc `CoverageBuilder`.
+ * @type {string[]}
+ */
+const s_COVERAGE_KINDS = ['class', 'method', 'member', 'get', 'set', 'constructor', 'function', 'variable'];
+
+/**
+ * Returns the longnames of all identifiers which ESDoc ignores: identifiers marked with `@ignore` and, depending on the
+ * ESDoc config, identifiers with an access level not included in `access` (names starting with `_` are private when
+ * `autoPrivate` is set), unexported identifiers and undocumented identifiers. Matches the ESDoc `DocResolver`.
+ *
+ * @param {Array<object>}  tags - All tags of the build.
+ * @param {object}         coverageConfig - ESDoc config entries `{access, autoPrivate, undocumentIdentifier,
+ *                                          unexportIdentifier}`.
+ * @returns {Set<string>}
+ */
+const s_GET_COVERAGE_IGNORED = (tags, coverageConfig) =>
+{
+   const ignored = new Set();
+
+   tags.forEach((tag) =>
+   {
+      const access = tag.access || (coverageConfig.autoPrivate && tag.name && tag.name.charAt(0) === '_' ? 'private' :
+       'public');
+
+      if (tag.ignore || coverageConfig.access.indexOf(access) < 0 ||
+       (!coverageConfig.unexportIdentifier && tag.export === false) ||
+        (!coverageConfig.undocumentIdentifier && tag.undocument))
+      {
+         ignored.add(tag.longname);
+      }
+   });
+
+   return ignored;
+};
+
+/**
+ * Returns whether a tag or any identifier it belongs to IE the class of a method is ignored by ESDoc.
+ *
+ * @param {object}      tag - A tag from `onHandleTag`.
+ * @param {Set<string>} ignored - Longnames of ignored identifiers from `s_GET_COVERAGE_IGNORED`.
+ * @returns {boolean}
+ */
+const s_IS_COVERAGE_IGNORED = (tag, ignored) =>
+{
+   if (ignored.has(tag.longname)) { return true; }
+
+   // Members of an ignored identifier have its longname followed by `.`, `~` or `#`.
+   for (let cntr = 0; cntr < tag.longname.length; cntr++)
+   {
+      if ('.~#'.indexOf(tag.longname.charAt(cntr)) >= 0 && ignored.has(tag.longname.slice(0, cntr))) { return true; }
+   }
+
+   return false;
+};
@@ -0,0 +1,53 @@
+'use strict';
+
+import fs                  from 'fs-extra';
+import path                from 'path';
+
+/**
+ * Writes the machine readable build report `report.json` to the docs destination. The report lists the link status of
+ * all top level and child packages from `packageReport` of the parsed JSPM data, the `includes` array provided to
+ * ESDoc and all rewrite rules:
+ * - `ast` - Module statement sources; `from` is the RegExp source.
+ * - `imports` - Import paths of tags.
+ * - `html` - Package paths in generated HTML which are replaced by the package label on a segment boundary.
+ * - `search` - Package paths in the names of search index entries.
+ *
+ * @param {string}   docDestination - ESDoc destination directory.
+ * @param {object}   jspmData - Parsed JSPM data from `packageParser`.
+ * @param {object}   rules - The `includes` array, `astReplace` & `importReplace` rules and `packageIndex` of the build.
+ *
+ * @returns {object} The written report.
+ */
+export default function reportWriter(docDestination, jspmData, rules)
+{
+   const { includes, astReplace, importReplace, packageIndex } = rules;
+
+   const rootPrefix = `${jspmData.rootDirName}/`;
+
+   const linkedEntries = packageIndex.entries().filter((entry) => typeof entry.value.htmlLabel === 'string');
+
+   const report =
+   {
+      rootPath: jspmData.rootPath,
+      rootPackageName: jspmData.rootPackageName,
+      jspmVersion: jspmData.jspmVersion,
+      includes,
+      packages: jspmData.packageReport || [],
+      rewriteRules:
+      {
+         ast: astReplace.map((rule) => ({ from: rule.from.source, to: rule.to })),
+         imports: importReplace.map((rule) => ({ from: rule.from, to: rule.to })),
+         html: linkedEntries.reduce((html, entry) => html.concat(
+          [
+             { from: `${rootPrefix}${entry.prefix}`, to: entry.value.htmlLabel },
+             { from: entry.prefix, to: entry.value.htmlLabel }
+          ]), []),
+         search: linkedEntries.map((entry) =>
+          ({ from: `${rootPrefix}${entry.prefix}`, to: entry.value.normalizedPath }))
+      }
+   };
+
+   fs.outputFileSync(path.join(docDestination, 'report.json'), JSON.stringify(report, null, 2));
+
+   return report;
+}
@@ -0,0 +1,248 @@
+'use strict';
+
+import fs         from 'fs-extra';
+import path       from 'path';
+import vm         from 'vm';
+
+import jspm       from 'jspm';   // Note: this could be dangerous for NPM < 3.0.
+
+/**
+ * Detects the jspm generation used by the project at `rootPath` and returns a SystemJS loader instance suitable for
+ * `typhonjs-config-jspm-parse` along with the jspm version and config files loaded.
+ *
+ * jspm 0.16 projects are loaded by `jspm.Loader` which reads `config.js` or the `jspm.configFile` entry from
+ * `package.json`.
+ *
+ * jspm 0.17 projects are detected by a `jspm.configFiles` entry in `package.json` or the presence of `jspm.config.js`
+ * in the root path. As the installed jspm Loader is unable to read the 0.17 layout the config files (by default
+ * `jspm.config.js` and `jspm.browser.js`) are evaluated and a minimal loader is created which provides `map`,
+ * `packages` and `normalizeSync` as consumed by `typhonjs-config-jspm-parse`.
+ *
+ * The jspm directories are resolved from the `directories` entry of the `jspm` entry in `package.json` (or the top
+ * level `directories` entry) in the same manner as jspm. `baseURL` defaults to `.`, `packages` to
+ * `<baseURL>/jspm_packages` and `lib` to `baseURL`. All directories are relative to the root path.
+ *
+ * @param {string}   rootPath - Root path where the JSPM `package.json` is located.
+ * @param {object}   packageObj - Parsed root `package.json`.
+ *
+ * @returns {{System: object, jspmVersion: string, configFiles: Array<string>, directories: {baseURL: string,
+ *          lib: string, packages: string}}}
+ */
+export default function systemLoader(rootPath, packageObj)
+{
+   const { jspmVersion, configFiles, directories } = resolveSystemConfig(rootPath, packageObj);
+
+   if (jspmVersion === '0.17')
+   {
+      const System = s_CREATE_LOADER_017(rootPath, directories.baseURL, configFiles);
+
+      return { System, jspmVersion, configFiles, directories };
+   }
+
+   // Set the package path to the local root where config.js is located.
+   jspm.setPackagePath(rootPath);
+
+   return { System: new jspm.Loader(), jspmVersion, configFiles, directories };
+}
+
+/**
+ * Detects the jspm version, config files and directories of the project at `rootPath` without creating a loader.
+ *
+ * @param {string}   rootPath - Root path where the JSPM `package.json` is located.
+ * @param {object}   packageObj - Parsed root `package.json`.
+ *
+ * @returns {{jspmVersion: string, configFiles: Array<string>, directories: {baseURL: string, lib: string,
+ *          packages: string}}}
+ */
+export function resolveSystemConfig(rootPath, packageObj)
+{
+   const jspmConfig = typeof packageObj.jspm === 'object' ? packageObj.jspm : {};
+
+   const directories = s_RESOLVE_DIRECTORIES(rootPath, packageObj, jspmConfig);
+
+   if (typeof jspmConfig.configFiles === 'object' || fs.existsSync(path.resolve(rootPath, 'jspm.config.js')))
+   {
+      return { jspmVersion: '0.17', configFiles: s_GET_CONFIG_FILES_017(rootPath, jspmConfig), directories };
+   }
+
+   const configFile = typeof jspmConfig.configFile === 'string' ? jspmConfig.configFile :
+    typeof packageObj.configFile === 'string' ? packageObj.configFile :
+     path.join(directories.baseURL, 'config.js');
+
+   return { jspmVersion: '0.16', configFiles: [configFile], directories };
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines the default config files for jspm 0.17 projects.
+ * @type {{jspm: string, 'jspm:browser': string}}
+ */
+const s_DEFAULT_CONFIG_FILES_017 = { 'jspm': 'jspm.config.js', 'jspm:browser': 'jspm.browser.js' };
+
+/**
+ * Defines the environment specific config blocks in jspm 0.17 config files which are merged into the base config.
+ * @type {string[]}
+ */
+const s_ENV_CONFIG_KEYS_017 = ['nodeConfig', 'browserConfig', 'devConfig', 'productionConfig'];
+
+/**
+ * Creates a minimal loader from jspm 0.17 config files.
+ *
+ * @param {string}         rootPath - Root path where the JSPM `package.json` is located.
+ * @param {string}         baseURL - The baseURL relative to the root path which SystemJS paths are relative to.
+ * @param {Array<string>}  configFiles - Config files relative to root path.
+ *
+ * @returns {{map: object, packages: object, paths: object, normalizeSync: function}}
+ */
+const s_CREATE_LOADER_017 = (rootPath, baseURL, configFiles) =>
+{
+   const basePath = path.resolve(rootPath, baseURL);
+
+   const config = { map: {}, packages: {}, paths: {} };
+
+   // Merges each `SystemJS.config` invocation into `config`.
+   const mergeConfig = (configObj) =>
+   {
+      if (configObj === null || typeof configObj !== 'object') { return; }
+
+      ['map', 'packages', 'paths'].forEach((key) =>
+      {
+         if (typeof configObj[key] === 'object') { Object.assign(config[key], configObj[key]); }
+      });
+
+      s_ENV_CONFIG_KEYS_017.forEach((key) => { mergeConfig(configObj[key]); });
+   };
+
+   const SystemJS = { config: mergeConfig };
+
+   configFiles.forEach((configFile) =>
+   {
+      const code = fs.readFileSync(path.resolve(rootPath, configFile), 'utf-8');
+
+      vm.runInNewContext(code, { SystemJS, System: SystemJS }, { filename: configFile });
+   });
+
+   const loader = { map: {}, packages: {}, paths: config.paths };
+
+   // Only string map entries are top level mapped packages.
+   for (const key in config.map)
+   {
+      if (typeof config.map[key] === 'string') { loader.map[key] = config.map[key]; }
+   }
+
+   // `typhonjs-config-jspm-parse` expects package entries keyed by normalized file URL.
+   for (const key in config.packages)
+   {
+      const packageConfig = config.packages[key];
+
+      loader.packages[s_TO_FILE_URL(basePath, s_RESOLVE_PATHS(config.paths, key))] =
+       typeof packageConfig === 'object' ? packageConfig : {};
+   }
+
+   /**
+    * Normalizes a mapped package name or full package name to a file URL appending the default `.js` extension as
+    * SystemJS does.
+    *
+    * @param {string}   name - Name to normalize.
+    * @returns {string}
+    */
+   loader.normalizeSync = (name) =>
+   {
+      const mapped = typeof loader.map[name] === 'string' ? loader.map[name] : name;
+
+      return `${s_TO_FILE_URL(basePath, s_RESOLVE_PATHS(config.paths, mapped))}.js`;
+   };
+
+   return loader;
+};
+
+/**
+ * Returns the jspm 0.17 config files relative to the root path which exist.
+ *
+ * @param {string}   rootPath - Root path where the JSPM `package.json` is located.
+ * @param {object}   jspmConfig - `jspm` entry from `package.json`.
+ *
+ * @returns {Array<string>}
+ */
+const s_GET_CONFIG_FILES_017 = (rootPath, jspmConfig) =>
+{
+   const configFiles = typeof jspmConfig.configFiles === 'object' ? jspmConfig.configFiles :
+    s_DEFAULT_CONFIG_FILES_017;
+
+   return Object.keys(configFiles).map((key) => configFiles[key]).filter((configFile) =>
+    typeof configFile === 'string' && fs.existsSync(path.resolve(rootPath, configFile)));
+};
+
+/**
+ * Resolves the jspm directories relative to the root path.
+ *
+ * @param {string}   rootPath - Root path where the JSPM `package.json` is located.
+ * @param {object}   packageObj - Parsed root `package.json`.
+ * @param {object}   jspmConfig - `jspm` entry from `package.json`.
+ *
+ * @returns {{baseURL: string, lib: string, packages: string}}
+ */
+const s_RESOLVE_DIRECTORIES = (rootPath, packageObj, jspmConfig) =>
+{
+   const directories = typeof jspmConfig.directories === 'object' ? jspmConfig.directories :
+    typeof packageObj.directories === 'object' ? packageObj.directories : {};
+
+   // Normalizes a directory to a path relative to the root path.
+   const relative = (dir) => path.relative(rootPath, path.resolve(rootPath, dir)) || '.';
+
+   const baseURL = relative(typeof directories.baseURL === 'string' ? directories.baseURL : '.');
+
+   const packagesDir = typeof directories.packages === 'string' ? directories.packages :
+    typeof directories.jspmPackages === 'string' ? directories.jspmPackages : path.join(baseURL, 'jspm_packages');
+
+   return {
+      baseURL,
+      lib: relative(typeof directories.lib === 'string' ? directories.lib : baseURL),
+      packages: relative(packagesDir)
+   };
+};
+
+/**
+ * Resolves a registry prefixed name against SystemJS `paths` by longest matching prefix. Both the jspm 0.17 (`npm:`)
+ * and 0.16 (`npm:*`) forms of path entries are supported.
+ *
+ * @param {object}   paths - SystemJS paths config.
+ * @param {string}   name - Name to resolve.
+ *
+ * @returns {string}
+ */
+const s_RESOLVE_PATHS = (paths, name) =>
+{
+   let matchKey;
+   let matchPrefix = '';
+
+   // The longest matching prefix is used.
+   for (const key in paths)
+   {
+      const prefix = key.endsWith('*') ? key.slice(0, -1) : key;
+
+      if (prefix.length > matchPrefix.length && name.startsWith(prefix))
+      {
+         matchKey = key;
+         matchPrefix = prefix;
+      }
+   }
+
+   return typeof matchKey === 'string' ? paths[matchKey].replace(/\*$/, '') + name.slice(matchPrefix.length) : name;
+};
+
+/**
+ * Converts a relative path to a file URL.
+ *
+ * @param {string}   basePath - Base path which relative path is resolved against.
+ * @param {string}   relativePath - Relative path.
+ *
+ * @returns {string}
+ */
+const s_TO_FILE_URL = (basePath, relativePath) =>
+{
+   const fullPath = path.resolve(basePath, relativePath).replace(/\\/g, '/');
+
+   return `file://${fullPath.startsWith('/') ? '' : '/'}${fullPath}`;
+};
@@ -16,4 +16,27 @@ export default class TestCollection extends Collection
    {
       return var1 + var2;
    }
+
+   clear()
+   {
+      s_CLEAR(this);
+   }
+
+   /**
+    * Private methods are not part of the documentation coverage.
+    */
+   _reset()
+   {
+      s_CLEAR(this);
+   }
+}
+
+/**
+ * Unexported functions are not part of the documentation coverage.
+ *
+ * @param {TestCollection} collection - A collection.
+ */
+function s_CLEAR(collection)
+{
+   collection.reset();
 }
\ No newline at end of file
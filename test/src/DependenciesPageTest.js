@@ -0,0 +1,82 @@
+import { assert }         from 'chai';
+import fs                 from 'fs-extra';
+import os                 from 'os';
+import path               from 'path';
+
+import dependenciesPage   from '../../src/dependenciesPage.js';
+
+/**
+ * Confirms that the "Dependencies" page is written with the graph data and bundled assets.
+ *
+ * @test {dependenciesPage}
+ */
+describe('Dependencies Page', () =>
+{
+   const docDestination = fs.mkdtempSync(path.join(os.tmpdir(), 'esdoc-plugin-jspm-dependencies-page-'));
+
+   const packageGraph =
+   {
+      packageGraphAll:
+      {
+         maxLevel: 1,
+         nodes:
+         [
+            { id: 'root-test-master', minLevel: 0, packageData: { packageName: 'test', version: 'master',
+             jspmType: 'root' } },
+            { id: 'npm-underscore-1-8-3', minLevel: 1, packageData: { packageName: 'underscore', version: '1.8.3',
+             jspmType: 'npm' } }
+         ],
+         links: [{ source: 0, target: 1, minLevel: 1 }]
+      }
+   };
+
+   const packageDocs =
+   {
+      'root-test-master':
+      [
+         { kind: 'class', name: 'Test', url: 'class/src/Test.js~Test.html' },
+         { kind: 'function', name: 'test', url: 'function/index.html#static-function-test' }
+      ]
+   };
+
+   before(() =>
+   {
+      fs.outputFileSync(path.join(docDestination, 'index.html'), '<html>\n<head>\n'
+       + '<title data-ice="title">API Document</title>\n</head>\n<body>\n<header>\n'
+        + '<a href="source.html">Source</a>\n</header>\n<div class="content" data-ice="content"><h1>Readme</h1></div>\n'
+         + '<footer class="footer"></footer>\n</body>\n</html>\n');
+
+      dependenciesPage(docDestination, packageGraph, packageDocs);
+   });
+
+   after(() => { fs.removeSync(docDestination); });
+
+   it('writes page and assets', () =>
+   {
+      const html = fs.readFileSync(path.join(docDestination, 'dependencies.html'), 'utf-8');
+
+      assert(html.indexOf('<title data-ice="title">Dependencies | API Document</title>') >= 0);
+      assert(html.indexOf('<option value="all">all</option>') >= 0);
+      assert(html.indexOf('<h1>Readme</h1>') < 0);
+      assert(html.indexOf('href="css/esdoc-plugin-jspm/dependencies.css"') >= 0);
+      assert(html.indexOf('src="script/esdoc-plugin-jspm/dependencies.js"') >= 0);
+      assert(html.indexOf('<footer class="footer">') >= 0);
+
+      assert(fs.existsSync(path.join(docDestination, 'css', 'esdoc-plugin-jspm', 'dependencies.css')));
+      assert(fs.existsSync(path.join(docDestination, 'script', 'esdoc-plugin-jspm', 'dependencies.js')));
+   });
+
+   it('writes graph data and documented classes', () =>
+   {
+      const script = fs.readFileSync(path.join(docDestination, 'script', 'esdoc-plugin-jspm', 'dependencies-data.js'),
+       'utf-8');
+
+      const data = JSON.parse(script.replace(/^window\.esdocJSPMDependencies = /, '').replace(/;\s*$/, ''));
+
+      assert.strictEqual(data.scopes.all.nodes.length, 2);
+      assert.strictEqual(data.scopes.all.nodes[1].name, 'underscore');
+      assert.deepEqual(data.scopes.all.links, [{ source: 'root-test-master', target: 'npm-underscore-1-8-3',
+       minLevel: 1 }]);
+      assert.deepEqual(data.classes, { 'root-test-master': [{ name: 'Test', url: 'class/src/Test.js~Test.html' }] });
+   });
+});
@@ -0,0 +1,121 @@
+import { assert }         from 'chai';
+import fs                 from 'fs-extra';
+import os                 from 'os';
+import path               from 'path';
+
+import { onHandleConfig, onHandleHTML, onStart }  from '../../src/plugin.js';
+
+/**
+ * Confirms that ESDoc enabled dev packages are only linked with `option.linkDevPackages` and are labeled as dev
+ * packages.
+ *
+ * @test {packageParser}
+ */
+describe('Dev Packages', () =>
+{
+   let rootPath;
+
+   /**
+    * Runs the plugin configuration hooks for the test project.
+    *
+    * @param {object}   option - Plugin options.
+    * @returns {{config: object, jspmData: object}}
+    */
+   const handleConfig = (option) =>
+   {
+      onStart({ data: { option: Object.assign({ logLevel: 'off' }, option) } });
+
+      const config = { 'source': 'src', 'destination': path.join(rootPath, 'docs'), 'jspmRootPath': rootPath,
+       'package': path.join(rootPath, 'package.json') };
+
+      onHandleConfig({ data: { config } });
+
+      return { config, jspmData: global.$$esdoc_plugin_jspm };
+   };
+
+   /**
+    * Returns the normalized data of a package by package name.
+    *
+    * @param {object}   normData - Normalized package data.
+    * @param {string}   packageName - Package name.
+    * @returns {object|undefined}
+    */
+   const getPackage = (normData, packageName) => Object.keys(normData).map((key) => normData[key]).find((data) =>
+    data.packageName === packageName);
+
+   /**
+    * Returns the package names of normalized package data.
+    *
+    * @param {object}   normData - Normalized package data.
+    * @returns {Array<string>}
+    */
+   const getPackageNames = (normData) => Object.keys(normData).map((key) => normData[key].packageName);
+
+   before(() =>
+   {
+      rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'esdoc-plugin-jspm-dev-packages-'));
+
+      const npmDir = path.join(rootPath, 'jspm_packages', 'npm');
+
+      fs.outputFileSync(path.join(rootPath, 'package.json'), JSON.stringify({ name: 'test', jspm:
+       { dependencies: { widgets: 'npm:widgets@1.2.0' }, devDependencies: { tools: 'npm:tools@3.0.0' } } }));
+
+      fs.outputFileSync(path.join(rootPath, 'jspm.config.js'), `SystemJS.config({ paths: { "npm:": "jspm_packages/npm/" },
+ map: { "widgets": "npm:widgets@1.2.0", "tools": "npm:tools@3.0.0" } });`);
+
+      fs.outputFileSync(path.join(rootPath, 'src', 'Test.js'), '');
+
+      fs.outputFileSync(path.join(npmDir, 'widgets@1.2.0', '.esdocrc'), JSON.stringify({ source: 'lib' }));
+      fs.outputFileSync(path.join(npmDir, 'widgets@1.2.0', 'lib', 'Widget.js'), '');
+      fs.outputFileSync(path.join(npmDir, 'tools@3.0.0', '.esdocrc'), JSON.stringify({ source: 'src' }));
+      fs.outputFileSync(path.join(npmDir, 'tools@3.0.0', 'src', 'Tool.js'), '');
+   });
+
+   after(() => { fs.removeSync(rootPath); });
+
+   it('does not link dev packages by default', () =>
+   {
+      const { jspmData } = handleConfig({});
+
+      assert.deepEqual(getPackageNames(jspmData.normPackageDataESDoc), ['widgets']);
+      assert.deepEqual(jspmData.normPackageDataESDocDev, {});
+
+      assert.isTrue(getPackage(jspmData.normPackageDataDev, 'tools').isDevScope);
+      assert.isFalse(getPackage(jspmData.normPackageDataMain, 'widgets').isDevScope);
+
+      const tools = jspmData.packageReport.find((entry) => entry.packageName === 'tools');
+
+      assert.isFalse(tools.esdoc);
+      assert.strictEqual(tools.skipReason, 'devNotLinked');
+   });
+
+   it('links dev packages with linkDevPackages', () =>
+   {
+      const { config, jspmData } = handleConfig({ linkDevPackages: true });
+
+      assert.deepEqual(getPackageNames(jspmData.normPackageDataESDoc), ['widgets']);
+      assert.deepEqual(getPackageNames(jspmData.normPackageDataESDocDev), ['tools']);
+
+      const tools = getPackage(jspmData.normPackageDataESDocDev, 'tools');
+
+      assert.isTrue(tools.isDevScope);
+      assert.strictEqual(tools.normalizedPath, 'tools/src');
+      assert.isTrue(jspmData.packageReport.find((entry) => entry.packageName === 'tools').esdoc);
+
+      assert.isTrue(config.includes.some((pattern) =>
+       new RegExp(pattern).test('jspm_packages/npm/tools@3.0.0/src/Tool.js')));
+   });
+
+   it('labels dev packages in generated HTML', () =>
+   {
+      handleConfig({ linkDevPackages: true });
+
+      const ev = { data: { fileName: 'file/index.html', html: '<head>\n</head>\n<span>jspm_packages/npm/tools@3.0.0/src'
+       + '/Tool.js</span><span>jspm_packages/npm/widgets@1.2.0/lib/Widget.js</span>' } };
+
+      onHandleHTML(ev);
+
+      assert(ev.data.html.indexOf('<span>[dev]<br>tools/src/Tool.js</span>') >= 0);
+      assert(ev.data.html.indexOf('<span>widgets/lib/Widget.js</span>') >= 0);
+   });
+});
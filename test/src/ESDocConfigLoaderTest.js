@@ -0,0 +1,139 @@
+import { assert }         from 'chai';
+import fs                 from 'fs-extra';
+import os                 from 'os';
+import path               from 'path';
+
+import esdocConfigLoader  from '../../src/esdocConfigLoader.js';
+
+import { ConfigError, ErrorCodes, PackageError }  from '../../src/PluginError.js';
+
+/**
+ * Confirms the lookup order of ESDoc configurations in a directory.
+ *
+ * @test {esdocConfigLoader}
+ */
+describe('ESDoc Config Loader', () =>
+{
+   const dirPath = fs.mkdtempSync(path.join(os.tmpdir(), 'esdoc-plugin-jspm-config-loader-'));
+
+   beforeEach(() => { fs.emptyDirSync(dirPath); });
+   after(() => { fs.removeSync(dirPath); });
+
+   it('returns undefined with no config', () =>
+   {
+      assert.isUndefined(esdocConfigLoader(dirPath));
+   });
+
+   it('loads esdoc entry from package.json', () =>
+   {
+      fs.writeJsonSync(path.join(dirPath, 'package.json'), { name: 'test', esdoc: { source: 'lib' } });
+
+      const result = esdocConfigLoader(dirPath);
+
+      assert.strictEqual(result.filename, 'package.json (esdoc)');
+      assert.strictEqual(result.config.source, 'lib');
+   });
+
+   it('skips package.json without esdoc entry', () =>
+   {
+      fs.writeJsonSync(path.join(dirPath, 'package.json'), { name: 'test' });
+
+      assert.isUndefined(esdocConfigLoader(dirPath));
+   });
+
+   it('loads esdoc.config.js before package.json', () =>
+   {
+      fs.writeJsonSync(path.join(dirPath, 'package.json'), { name: 'test', esdoc: { source: 'lib' } });
+      fs.writeFileSync(path.join(dirPath, 'esdoc.config.js'), "module.exports = { source: 'src' };");
+
+      const result = esdocConfigLoader(dirPath);
+
+      assert.strictEqual(result.filename, 'esdoc.config.js');
+      assert.strictEqual(result.config.source, 'src');
+   });
+
+   it('loads .esdocrc before all others', () =>
+   {
+      fs.writeJsonSync(path.join(dirPath, 'esdoc.json'), { source: 'lib' });
+      fs.writeJsonSync(path.join(dirPath, '.esdocrc'), { source: 'src' });
+
+      const result = esdocConfigLoader(dirPath);
+
+      assert.strictEqual(result.filename, '.esdocrc');
+      assert.strictEqual(result.config.source, 'src');
+   });
+
+   it('throws for invalid JSON', () =>
+   {
+      const filePath = path.join(dirPath, '.esdocrc');
+
+      fs.writeFileSync(filePath, '{ invalid');
+      fs.writeJsonSync(path.join(dirPath, 'esdoc.json'), { source: 'lib' });
+
+      assert.throws(() => esdocConfigLoader(dirPath), ConfigError);
+
+      try
+      {
+         esdocConfigLoader(dirPath, 'npm:widgets@1.2.0');
+         assert.fail('expected a PackageError');
+      }
+      catch (err)
+      {
+         assert.instanceOf(err, PackageError);
+         assert.strictEqual(err.code, ErrorCodes.ESDOC_CONFIG_INVALID);
+         assert.strictEqual(err.file, filePath);
+         assert.strictEqual(err.packageName, 'npm:widgets@1.2.0');
+      }
+   });
+
+   it('throws for module not exporting an object', () =>
+   {
+      const filePath = path.join(dirPath, '.esdocrc.js');
+
+      fs.writeJsonSync(path.join(dirPath, 'package.json'), { name: 'test' });
+      fs.writeFileSync(filePath, "module.exports = 'src';");
+
+      try
+      {
+         esdocConfigLoader(dirPath);
+         assert.fail('expected a ConfigError');
+      }
+      catch (err)
+      {
+         assert.instanceOf(err, ConfigError);
+         assert.strictEqual(err.code, ErrorCodes.ESDOC_CONFIG_INVALID);
+         assert.strictEqual(err.file, filePath);
+      }
+   });
+
+   it('does not load Javascript modules of JSPM packages', () =>
+   {
+      fs.writeJsonSync(path.join(dirPath, 'package.json'), { name: 'test', esdoc: { source: 'lib' } });
+      fs.writeFileSync(path.join(dirPath, '.esdocrc.js'), "throw new Error('loaded');");
+      fs.writeFileSync(path.join(dirPath, 'esdoc.config.js'), "throw new Error('loaded');");
+
+      const result = esdocConfigLoader(dirPath, 'npm:widgets@1.2.0');
+
+      assert.strictEqual(result.filename, 'package.json (esdoc)');
+      assert.strictEqual(result.config.source, 'lib');
+   });
+
+   it('reloads changed Javascript modules', () =>
+   {
+      const filePath = path.join(dirPath, 'esdoc.config.js');
+
+      fs.writeJsonSync(path.join(dirPath, 'package.json'), { name: 'test' });
+      fs.writeFileSync(filePath, "module.exports = { source: 'src' };");
+
+      assert.strictEqual(esdocConfigLoader(dirPath).config.source, 'src');
+
+      fs.writeFileSync(filePath, "module.exports = { source: 'lib' };");
+
+      // The test runner require hook caches compiled modules by modification time, so it must change.
+      const mtime = new Date(fs.statSync(filePath).mtime.getTime() + 2000);
+
+      fs.utimesSync(filePath, mtime, mtime);
+
+      assert.strictEqual(esdocConfigLoader(dirPath).config.source, 'lib');
+   });
+});
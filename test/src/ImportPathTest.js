@@ -1,12 +1,15 @@
 import { assert } from 'chai';
 import fs         from 'fs-extra';
+import path       from 'path';
+
+import { onHandleAST, onHandleConfig, onStart }  from '../../src/plugin.js';
 
 /**
  * This test confirms that the Backbone-ES6 JSPM package is properly linked with the local source. In this case
  * a successful result is when TestCollection properly extends Collection and the inheritance link is made
  * in documentation for TestCollection.
  *
- * @test {onHandleCode}
+ * @test {onHandleAST}
  */
 describe('Import Path', () =>
 {
@@ -17,4 +20,72 @@ describe('Import Path', () =>
 
       assert(html.indexOf('src/Collection.js~Collection.html">Collection</a></span> &#x2192; TestCollection<') >= 0);
    });
-});
\ No newline at end of file
+});
+
+/**
+ * Confirms that the sources of import and export statements referencing JSPM packages are rewritten relative to the
+ * importing file and that the original source is retained.
+ *
+ * @test {onHandleAST}
+ */
+describe('Import Path (module statements)', () =>
+{
+   const filePath = path.resolve('./test/fixture/TestCollection.js');
+
+   const packagePath = '../../jspm_packages/github/typhonjs-backbone/backbone-es6@master';
+
+   /**
+    * Creates a module statement AST node with a string literal source.
+    *
+    * @param {string}   type - AST node type.
+    * @param {string}   value - Source value.
+    * @returns {object}
+    */
+   const createNode = (type, value) => ({ type, specifiers: [], source: { type: 'StringLiteral', value,
+    raw: `'${value}'` } });
+
+   before(() =>
+   {
+      onStart({ data: { option: { logLevel: 'off' } } });
+
+      onHandleConfig({ data: { config: { 'source': './test/fixture', 'destination': './test/fixture/docs',
+       'package': './package.json' } } });
+   });
+
+   it('rewrites export, re-export and bare import sources', () =>
+   {
+      const ast = { body:
+      [
+         createNode('ExportAllDeclaration', 'backbone-es6/src/Events.js'),
+         createNode('ExportNamedDeclaration', 'backbone-es6/src/Collection.js'),
+         createNode('ImportDeclaration', 'backbone-es6'),
+         createNode('ImportDeclaration', './Local.js')
+      ] };
+
+      onHandleAST({ data: { ast, filePath } });
+
+      const sources = ast.body.map((node) => node.source);
+
+      assert.strictEqual(sources[0].value, `${packagePath}/src/Events.js`);
+      assert.strictEqual(sources[1].value, `${packagePath}/src/Collection.js`);
+      assert.strictEqual(sources[2].value, `${packagePath}/src/Backbone.js`);
+      assert.strictEqual(sources[3].value, './Local.js');
+
+      assert.deepEqual(sources.map((source) => source.isModified), [true, true, true, false]);
+   });
+
+   it('retains original value and raw string', () =>
+   {
+      const ast = { body: [createNode('ExportNamedDeclaration', 'backbone-es6/src/Collection.js')] };
+
+      ast.body[0].source.raw = '"backbone-es6/src/Collection.js"';
+
+      onHandleAST({ data: { ast, filePath } });
+
+      const source = ast.body[0].source;
+
+      assert.strictEqual(source.originalValue, 'backbone-es6/src/Collection.js');
+      assert.strictEqual(source.originalRaw, '"backbone-es6/src/Collection.js"');
+      assert.strictEqual(source.raw, `"${packagePath}/src/Collection.js"`);
+   });
+});
@@ -0,0 +1,96 @@
+import { assert }         from 'chai';
+import fs                 from 'fs-extra';
+import os                 from 'os';
+import path               from 'path';
+
+import PackageNormalizer  from '../../src/PackageNormalizer.js';
+import systemLoader       from '../../src/systemLoader.js';
+
+import { onHandleConfig, onHandleTag, onStart }  from '../../src/plugin.js';
+
+/**
+ * Confirms that a custom `baseURL` and packages directory from the `jspm.directories` entry in `package.json` are used
+ * to resolve, normalize and associate JSPM packages.
+ *
+ * @test {systemLoader}
+ */
+describe('JSPM Directories', () =>
+{
+   let rootPath;
+   let rootDirName;
+
+   const packageObj = { name: 'test', jspm: { directories: { baseURL: 'web', packages: 'web/vendor' },
+    dependencies: { widgets: 'npm:widgets@1.2.0' } } };
+
+   before(() =>
+   {
+      rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'esdoc-plugin-jspm-jspm-directories-'));
+      rootDirName = path.basename(rootPath);
+
+      const vendorDir = path.join(rootPath, 'web', 'vendor', 'npm');
+
+      fs.outputFileSync(path.join(rootPath, 'package.json'), JSON.stringify(packageObj));
+
+      // SystemJS paths are relative to the `baseURL`.
+      fs.outputFileSync(path.join(rootPath, 'jspm.config.js'), `
+SystemJS.config({
+  paths: { "npm:": "vendor/npm/" },
+  map: { "widgets": "npm:widgets@1.2.0" },
+  packages: { "npm:widgets@1.2.0": { "map": { "gears": "npm:gears@2.0.0" } } }
+});`);
+
+      fs.outputFileSync(path.join(vendorDir, 'widgets@1.2.0', '.esdocrc'), JSON.stringify({ source: 'lib' }));
+      fs.outputFileSync(path.join(vendorDir, 'widgets@1.2.0', 'lib', 'Widget.js'), '');
+      fs.outputFileSync(path.join(vendorDir, 'gears@2.0.0', '.esdocrc'), JSON.stringify({ source: 'src' }));
+      fs.outputFileSync(path.join(vendorDir, 'gears@2.0.0', 'src', 'Gear.js'), '');
+
+      fs.outputFileSync(path.join(rootPath, 'web', 'src', 'App.js'), '');
+   });
+
+   after(() => { fs.removeSync(rootPath); });
+
+   it('resolves directories and normalizes packages against baseURL', () =>
+   {
+      const { System, directories } = systemLoader(rootPath, packageObj);
+
+      assert.deepEqual(directories, { baseURL: 'web', lib: 'web', packages: path.join('web', 'vendor') });
+
+      assert.strictEqual(System.normalizeSync('widgets'),
+       `file://${path.join(rootPath, 'web', 'vendor', 'npm', 'widgets@1.2.0')}.js`);
+   });
+
+   it('parses child dependencies from the packages directory', () =>
+   {
+      const { System, directories } = systemLoader(rootPath, packageObj);
+
+      assert.deepEqual(PackageNormalizer.parseChildDependencies(System, directories.packages),
+       { 'npm:widgets@1.2.0': { gears: 'npm:gears@2.0.0' } });
+   });
+
+   it('associates package data and import paths of tags', () =>
+   {
+      onStart({ data: { option: { logLevel: 'off' } } });
+
+      onHandleConfig({ data: { config: { 'source': 'web/src', 'destination': path.join(rootPath, 'docs'),
+       'jspmRootPath': rootPath, 'package': path.join(rootPath, 'package.json') } } });
+
+      const tags =
+      [
+         { kind: 'class', name: 'Gear', longname: `${rootDirName}/web/vendor/npm/gears@2.0.0/src/Gear.js~Gear`,
+          importPath: `test/${rootDirName}/web/vendor/npm/gears@2.0.0/src/Gear.js` },
+         { kind: 'class', name: 'App', longname: `${rootDirName}/web/src/App.js~App`,
+          importPath: `test/${rootDirName}/web/src/App.js` }
+      ];
+
+      onHandleTag({ data: { tag: tags } });
+
+      assert.strictEqual(tags[0].relativePath, 'web/vendor/npm/gears@2.0.0/src/Gear.js');
+      assert.strictEqual(tags[0].packageManager, 'jspm');
+      assert.strictEqual(tags[0].packageData.fullPackage, 'npm:gears@2.0.0');
+      assert.strictEqual(tags[0].importPath, 'gears/src/Gear.js');
+
+      assert.isUndefined(tags[1].packageManager);
+      assert.isUndefined(tags[1].packageData);
+      assert.strictEqual(tags[1].importPath, 'test/web/src/App.js');
+   });
+});
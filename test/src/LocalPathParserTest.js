@@ -0,0 +1,71 @@
+import { assert }         from 'chai';
+import fs                 from 'fs-extra';
+import os                 from 'os';
+import path               from 'path';
+
+import localPathParser    from '../../src/localPathParser.js';
+
+/**
+ * Confirms that SystemJS `paths` and `map` aliases to local source code are resolved.
+ *
+ * @test {localPathParser}
+ */
+describe('Local Path Parser', () =>
+{
+   const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'esdoc-plugin-jspm-local-path-parser-'));
+
+   const jspmDirectories = { baseURL: '.', lib: '.', packages: 'jspm_packages' };
+
+   before(() =>
+   {
+      fs.emptyDirSync(rootPath);
+      fs.mkdirsSync(path.join(rootPath, 'src/utils'));
+      fs.writeFileSync(path.join(rootPath, 'src/main.js'), '');
+   });
+
+   after(() => { fs.removeSync(rootPath); });
+
+   it('resolves paths aliases & skips registry paths', () =>
+   {
+      const System =
+      {
+         paths:
+         {
+            'github:*': `file://${rootPath}/jspm_packages/github/*`,
+            'app/*': `file://${rootPath}/src/*`,
+            'lib/': 'src/utils/',
+            'main': 'src/main'
+         },
+         map: {}
+      };
+
+      assert.deepEqual(localPathParser(System, rootPath, jspmDirectories),
+      [
+         { name: 'app/', type: 'path', isPrefix: true, relativePath: `src${path.sep}` },
+         { name: 'lib/', type: 'path', isPrefix: true, relativePath: `src${path.sep}utils${path.sep}` },
+         { name: 'main', type: 'path', isPrefix: false, relativePath: `src${path.sep}main.js` }
+      ]);
+   });
+
+   it('resolves local map entries & skips packages', () =>
+   {
+      const System =
+      {
+         paths: {},
+         map: { backbone: 'github:typhonjs/backbone-es6@master', fs: '@node/fs', utils: 'src/utils' }
+      };
+
+      assert.deepEqual(localPathParser(System, rootPath, jspmDirectories),
+      [
+         { name: 'utils/', type: 'map', isPrefix: true, relativePath: `src${path.sep}utils${path.sep}` },
+         { name: 'utils', type: 'map', isPrefix: false, relativePath: `src${path.sep}utils` }
+      ]);
+   });
+
+   it('skips aliases outside of the root path or in node_modules', () =>
+   {
+      const System = { paths: { 'ext/*': '../ext/*', 'babel-runtime/': 'node_modules/babel-runtime/' }, map: {} };
+
+      assert.deepEqual(localPathParser(System, rootPath, jspmDirectories), []);
+   });
+});
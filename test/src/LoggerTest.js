@@ -0,0 +1,211 @@
+import { assert }         from 'chai';
+import fs                 from 'fs-extra';
+import os                 from 'os';
+import path               from 'path';
+
+import ESDoc              from '../../node_modules/esdoc/out/src/ESDoc.js';
+import publisher          from '../../node_modules/esdoc/out/src/Publisher/publish.js';
+
+import Logger             from '../../src/Logger.js';
+
+import { setLogger }      from '../../src/plugin.js';
+
+/**
+ * Confirms that the logger filters by level, supports JSON lines output and forwards entries to a host logger.
+ *
+ * @test {Logger}
+ */
+describe('Logger', () =>
+{
+   /**
+    * Captures the console output of a function.
+    *
+    * @param {function} func - Function to invoke.
+    * @returns {Array<string>}
+    */
+   const captureConsole = (func) =>
+   {
+      const lines = [];
+      const consoleLog = console.log;
+
+      console.log = (line) => { lines.push(line); };
+
+      try { func(); }
+      finally { console.log = consoleLog; }
+
+      return lines;
+   };
+
+   it('resolves log level', () =>
+   {
+      assert.strictEqual(new Logger().level, 'info');
+      assert.strictEqual(new Logger({ logLevel: 'debug' }).level, 'debug');
+      assert.strictEqual(new Logger({ logLevel: 'bogus' }).level, 'info');
+      assert.strictEqual(new Logger({ silent: true }).level, 'off');
+      assert.strictEqual(new Logger({ verbose: true }).level, 'trace');
+      assert.strictEqual(new Logger({ logLevel: 'warn', silent: true }).level, 'warn');
+   });
+
+   it('filters messages by level', () =>
+   {
+      const log = new Logger({ logLevel: 'warn' });
+
+      assert.isTrue(log.isEnabled('error'));
+      assert.isTrue(log.isEnabled('warn'));
+      assert.isFalse(log.isEnabled('info'));
+
+      const lines = captureConsole(() =>
+      {
+         log.error('failed');
+         log.warn('careful');
+         log.info('skipped');
+         log.trace('skipped');
+      });
+
+      assert.deepEqual(lines, ['esdoc-plugin-jspm - Error: failed', 'esdoc-plugin-jspm - Warning: careful']);
+
+      assert.deepEqual(captureConsole(() => { new Logger({ logLevel: 'off' }).error('failed'); }), []);
+   });
+
+   it('writes JSON lines', () =>
+   {
+      const lines = captureConsole(() =>
+      {
+         new Logger({ logFormat: 'json' }).info('linked', { packageName: 'npm:underscore@1.8.3' });
+      });
+
+      assert.strictEqual(lines.length, 1);
+
+      const entry = JSON.parse(lines[0]);
+
+      assert.isString(entry.time);
+      assert.strictEqual(entry.level, 'info');
+      assert.strictEqual(entry.name, 'esdoc-plugin-jspm');
+      assert.strictEqual(entry.message, 'linked');
+      assert.strictEqual(entry.packageName, 'npm:underscore@1.8.3');
+   });
+
+   it('forwards entries to a host logger', () =>
+   {
+      const entries = [];
+
+      const lines = captureConsole(() =>
+      {
+         const log = new Logger({ logLevel: 'debug', logger: (entry) => { entries.push(entry); } });
+
+         log.debug('parsing');
+         log.trace('skipped');
+      });
+
+      assert.deepEqual(lines, []);
+      assert.strictEqual(entries.length, 1);
+      assert.strictEqual(entries[0].level, 'debug');
+      assert.strictEqual(entries[0].message, 'parsing');
+
+      const calls = [];
+
+      const host =
+      {
+         warn: (message) => { calls.push(`warn ${message}`); },
+         log: (message) => { calls.push(`log ${message}`); }
+      };
+
+      const log = new Logger({ logLevel: 'trace', logger: host });
+
+      log.warn('careful');
+      log.trace('details');
+
+      assert.deepEqual(calls, ['warn careful', 'log details']);
+   });
+
+   it('falls back to the console for hosts without methods', () =>
+   {
+      const lines = captureConsole(() =>
+      {
+         new Logger({ logger: {} }).info('linked');
+         new Logger({ logger: { error: () => {} } }).warn('careful');
+      });
+
+      assert.deepEqual(lines, ['esdoc-plugin-jspm - Info: linked', 'esdoc-plugin-jspm - Warning: careful']);
+   });
+});
+
+/**
+ * Confirms that a host logger set by `setLogger` receives the output of an ESDoc build which copies plugin options
+ * through JSON.
+ *
+ * @test {setLogger}
+ */
+describe('Logger (ESDoc)', () =>
+{
+   const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'esdoc-plugin-jspm-logger-'));
+   const pluginPath = path.resolve('./src/plugin.js');
+
+   /**
+    * Generates the docs of the test project in the root path returning the console output of the plugin.
+    *
+    * @param {object}   option - Plugin options.
+    * @returns {Array<string>}
+    */
+   const generate = (option) =>
+   {
+      const config = { source: 'src', destination: 'docs', plugins: [{ name: pluginPath, option }] };
+
+      const cwd = process.cwd();
+      const consoleLog = console.log;
+      const lines = [];
+
+      console.log = (line) => { if (String(line).startsWith('esdoc-plugin-jspm')) { lines.push(line); } };
+
+      try
+      {
+         process.chdir(rootPath);
+         ESDoc.generate(config, publisher);
+      }
+      finally
+      {
+         process.chdir(cwd);
+         console.log = consoleLog;
+      }
+
+      return lines;
+   };
+
+   before(() =>
+   {
+      fs.emptyDirSync(rootPath);
+
+      fs.outputFileSync(path.join(rootPath, 'package.json'), JSON.stringify({ name: 'test', jspm: { dependencies: {} } }));
+      fs.outputFileSync(path.join(rootPath, 'jspm.config.js'), 'SystemJS.config({ paths: {}, map: {} });');
+      fs.outputFileSync(path.join(rootPath, 'src', 'Test.js'), '/** Test class. */\nexport default class Test {}');
+   });
+
+   after(() =>
+   {
+      setLogger();
+      fs.removeSync(rootPath);
+   });
+
+   it('forwards build output to the host logger', () =>
+   {
+      const entries = [];
+
+      setLogger({ info: (message, entry) => { entries.push(entry); } });
+
+      // A logger option is copied by ESDoc as an empty object and is ignored.
+      const lines = generate({ logger: { info: () => {} } });
+
+      assert.deepEqual(lines.filter((line) => line.indexOf(' - Info: ') >= 0), []);
+      assert.isAbove(entries.length, 0);
+      assert(entries.some((entry) => entry.message === 'linked local source root: \'src\''));
+   });
+
+   it('outputs to the console without a usable host logger', () =>
+   {
+      setLogger({});
+
+      const lines = generate({ logger: { info: () => {} } });
+
+      assert(lines.indexOf('esdoc-plugin-jspm - Info: linked local source root: \'src\'') >= 0);
+   });
+});
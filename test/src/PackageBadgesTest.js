@@ -0,0 +1,83 @@
+import { assert }         from 'chai';
+
+import packageBadges      from '../../src/packageBadges.js';
+
+import { createPackageBadgeIndex }  from '../../src/packageBadges.js';
+
+/**
+ * Confirms that package origin badges are added to identifier pages and external ancestors are marked.
+ *
+ * @test {packageBadges}
+ */
+describe('Package Badges', () =>
+{
+   const normPackageDataAll =
+   {
+      'npm-lodash-4-0-0': { packageName: 'underscore', actualPackageName: 'lodash', isAlias: true, version: '4.0.0',
+       registry: 'npm', packageLink: { type: 'npm', link: 'https://www.npmjs.com/package/lodash' } }
+   };
+
+   const packageDocs =
+   {
+      'root-test-master': [{ kind: 'class', name: 'Test', url: 'class/src/Test.js~Test.html' }],
+      'npm-lodash-4-0-0':
+      [
+         { kind: 'class', name: 'Base', url: 'class/lodash/Base.js~Base.html' },
+         { kind: 'function', name: 'map', url: 'function/index.html#static-function-map' }
+      ]
+   };
+
+   const head = '<head>\n</head>\n';
+
+   const badgeIndex = createPackageBadgeIndex(packageDocs, normPackageDataAll, true);
+
+   it('adds badge to class page', () =>
+   {
+      const html = packageBadges(`${head}<h1 data-ice="name">Base</h1>`, 'class/lodash/Base.js~Base.html',
+       badgeIndex);
+
+      assert(html.indexOf('href="css/esdoc-plugin-jspm/package-badge.css"') >= 0);
+      assert(html.indexOf('<h1 data-ice="name">Base</h1>\n  <div class="esdoc-jspm-package-badge">'
+       + '<a class="package-name" href="package/npm-lodash-4-0-0.html">underscore</a>'
+        + '<span class="package-version">4.0.0</span><span class="package-registry">npm</span>'
+         + '<span class="package-alias">alias of lodash</span>'
+          + '<a class="package-repo" href="https://www.npmjs.com/package/lodash">npm</a></div>') >= 0);
+   });
+
+   it('adds badge to function detail without package page link', () =>
+   {
+      const html = packageBadges(`${head}<h3 data-ice="anchor" id="static-function-map">\n  map\n</h3>`,
+       'function/index.html', createPackageBadgeIndex(packageDocs, normPackageDataAll, false));
+
+      assert(html.indexOf('</h3>\n  <div class="esdoc-jspm-package-badge"><span class="package-name">underscore'
+       + '</span>') >= 0);
+   });
+
+   it('marks external ancestors and skips local pages', () =>
+   {
+      const chain = '<div class="flat-list" data-ice="extendsChain"><h4>Extends:</h4><div><span>'
+       + '<a href="class/lodash/Base.js~Base.html">Base</a></span> &#x2192; Test</div></div>';
+
+      const html = packageBadges(`${head}<h1 data-ice="name">Test</h1>${chain}`, 'class/src/Test.js~Test.html',
+       badgeIndex);
+
+      assert(html.indexOf('esdoc-jspm-package-badge') < 0);
+      assert(html.indexOf('<span><span class="esdoc-jspm-external" title="underscore 4.0.0">underscore</span>'
+       + '<a href="class/lodash/Base.js~Base.html">Base</a></span> &#x2192; Test</div>') >= 0);
+      assert(html.indexOf('href="css/esdoc-plugin-jspm/package-badge.css"') >= 0);
+   });
+
+   it('indexes badges by page URL and ancestors by class page URL', () =>
+   {
+      assert.deepEqual(Array.from(badgeIndex.pages.keys()), ['class/lodash/Base.js~Base.html', 'function/index.html']);
+      assert.strictEqual(badgeIndex.pages.get('function/index.html')[0].anchor, 'static-function-map');
+      assert.deepEqual(Array.from(badgeIndex.ancestors.keys()), ['class/lodash/Base.js~Base.html']);
+   });
+
+   it('leaves pages without package identifiers unchanged', () =>
+   {
+      const html = `${head}<h1 data-ice="name">Test</h1>`;
+
+      assert.strictEqual(packageBadges(html, 'class/src/Test.js~Test.html', badgeIndex), html);
+   });
+});
@@ -0,0 +1,67 @@
+import { assert }   from 'chai';
+import fs           from 'fs-extra';
+import os           from 'os';
+import path         from 'path';
+
+import PackageCache from '../../src/PackageCache.js';
+
+/**
+ * Confirms that the package cache is loaded when nothing changed and invalidated by content changes.
+ *
+ * @test {PackageCache}
+ */
+describe('Package Cache', () =>
+{
+   const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'esdoc-plugin-jspm-package-cache-'));
+   const packageDir = path.join(rootPath, 'jspm_packages/npm/underscore@1.8.3');
+
+   const config = { 'jspmRootPath': rootPath, 'package': path.join(rootPath, 'package.json') };
+   const options = { cacheDirectory: '.cache', silent: true };
+
+   const packageData = { packageName: 'underscore', fullPath: packageDir };
+
+   const jspmData = { rootPath, normPackageDataAll: { 'npm-underscore-1-8-3': packageData } };
+   const packageGraph = { packageGraphAll: { maxLevel: 1, nodes: [{ id: 'npm-underscore-1-8-3', packageData }],
+    links: [] } };
+
+   beforeEach(() =>
+   {
+      fs.emptyDirSync(rootPath);
+      fs.mkdirsSync(packageDir);
+
+      fs.writeFileSync(config.package, JSON.stringify({ name: 'test', jspm: {} }));
+      fs.writeFileSync(path.join(rootPath, 'jspm.config.js'), 'SystemJS.config({});');
+
+      PackageCache.save(config, options, jspmData, packageGraph);
+   });
+
+   after(() => { fs.removeSync(rootPath); });
+
+   it('loads cached data when nothing changed', () =>
+   {
+      const cached = PackageCache.load(config, options);
+
+      assert.deepEqual(cached.jspmData, jspmData);
+      assert.strictEqual(cached.packageGraph.packageGraphAll.nodes[0].packageData,
+       cached.jspmData.normPackageDataAll['npm-underscore-1-8-3']);
+   });
+
+   it('is invalidated by SystemJS config changes', () =>
+   {
+      fs.writeFileSync(path.join(rootPath, 'jspm.config.js'), 'SystemJS.config({ map: {} });');
+
+      assert.isUndefined(PackageCache.load(config, options));
+   });
+
+   it('is invalidated by package ESDoc config changes', () =>
+   {
+      fs.writeFileSync(path.join(packageDir, '.esdocrc'), '{ "source": "src" }');
+
+      assert.isUndefined(PackageCache.load(config, options));
+   });
+
+   it('is invalidated by option changes', () =>
+   {
+      assert.isUndefined(PackageCache.load(config, Object.assign({}, options, { packages: ['underscore'] })));
+   });
+});
@@ -0,0 +1,102 @@
+import { assert }         from 'chai';
+import fs                 from 'fs-extra';
+import os                 from 'os';
+import path               from 'path';
+
+import packageCoverage    from '../../src/packageCoverage.js';
+
+/**
+ * Confirms that the documentation coverage is split between the local project and each package.
+ *
+ * @test {packageCoverage}
+ */
+describe('Package Coverage', () =>
+{
+   const docDestination = fs.mkdtempSync(path.join(os.tmpdir(), 'esdoc-plugin-jspm-package-coverage-'));
+
+   const packageGraph =
+   {
+      packageGraphAll:
+      {
+         maxLevel: 1,
+         nodes:
+         [
+            { id: 'root-test-master', minLevel: 0, packageData: { packageName: 'test', version: 'master',
+             jspmType: 'root' } },
+            { id: 'github-typhonjs-backbone-backbone-es6-master', minLevel: 1, packageData: { packageName: 'backbone',
+             version: 'master', jspmType: 'github' } }
+         ],
+         links: [{ source: 0, target: 1, minLevel: 1 }]
+      }
+   };
+
+   const coverageCounts =
+   {
+      'github-typhonjs-backbone-backbone-es6-master': { expectCount: 3, actualCount: 1 },
+      'root-test-master': { expectCount: 4, actualCount: 4 }
+   };
+
+   let report;
+
+   before(() =>
+   {
+      fs.outputFileSync(path.join(docDestination, 'index.html'), '<html>\n<head>\n<base data-ice="baseUrl">\n'
+       + '<title data-ice="title">API Document</title>\n</head>\n<body>\n'
+        + '<div class="content" data-ice="content"></div>\n<footer class="footer"></footer>\n</body>\n</html>\n');
+
+      report = packageCoverage(docDestination, packageGraph, coverageCounts, true);
+   });
+
+   after(() => { fs.removeSync(docDestination); });
+
+   it('writes coverage JSON', () =>
+   {
+      const json = JSON.parse(fs.readFileSync(path.join(docDestination, 'coverage-packages.json'), 'utf-8'));
+
+      assert.deepEqual(json, report);
+
+      assert.strictEqual(json.coverage, '71.42%');
+      assert.strictEqual(json.expectCount, 7);
+      assert.strictEqual(json.actualCount, 5);
+
+      assert.deepEqual(json.packages.map((entry) => [entry.name, entry.isLocal, entry.coverage]),
+       [['test', true, '100%'], ['backbone', false, '33.33%']]);
+   });
+
+   it('writes coverage page and badges', () =>
+   {
+      const html = fs.readFileSync(path.join(docDestination, 'package', 'coverage.html'), 'utf-8');
+
+      assert(html.indexOf('<tr><td>test (local)</td><td>master</td><td>100%</td><td>4/4</td>') >= 0);
+      assert(html.indexOf('<img src="badge/package/github-typhonjs-backbone-backbone-es6-master.svg">') >= 0);
+
+      const badge = fs.readFileSync(path.join(docDestination, 'badge', 'package',
+       'github-typhonjs-backbone-backbone-es6-master.svg'), 'utf-8');
+
+      assert(badge.indexOf('>33%</text>') >= 0);
+      assert(badge.indexOf('fill="#db654f"') >= 0);
+   });
+});
+
+/**
+ * Confirms that the package coverage of the docs generated by `000init.js` counts the same identifiers as ESDoc; the
+ * private method and unexported function of `TestCollection` are not counted and the undocumented method is.
+ *
+ * @test {onHandleTag}
+ */
+describe('Package Coverage (ESDoc)', () =>
+{
+   it('matches ESDoc coverage', () =>
+   {
+      const coverage = JSON.parse(fs.readFileSync('./test/fixture/docs/coverage.json', 'utf-8'));
+      const packageCoverage = JSON.parse(fs.readFileSync('./test/fixture/docs/coverage-packages.json', 'utf-8'));
+
+      assert.strictEqual(packageCoverage.expectCount, coverage.expectCount);
+      assert.strictEqual(packageCoverage.actualCount, coverage.actualCount);
+
+      const local = packageCoverage.packages.find((entry) => entry.isLocal);
+
+      assert.strictEqual(local.expectCount, 3);
+      assert.strictEqual(local.actualCount, 2);
+   });
+});
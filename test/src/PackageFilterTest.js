@@ -0,0 +1,77 @@
+import { assert }            from 'chai';
+
+import createPackageFilter   from '../../src/packageFilter.js';
+
+import { ConfigError, ErrorCodes }  from '../../src/PluginError.js';
+
+/**
+ * Confirms that packages are filtered by the `includePackages` / `excludePackages` options.
+ *
+ * @test {createPackageFilter}
+ */
+describe('Package Filter', () =>
+{
+   it('includes all packages without patterns', () =>
+   {
+      const packageFilter = createPackageFilter({});
+
+      assert.isUndefined(packageFilter('underscore', 'npm:underscore@1.8.3'));
+   });
+
+   it('matches globs on package name, actual name and full package name', () =>
+   {
+      const packageFilter = createPackageFilter({ includePackages: ['backbone*', 'npm:*'] });
+
+      assert.isUndefined(packageFilter('backbone', 'github:typhonjs/backbone-es6@master'));
+      assert.isUndefined(packageFilter(void 0, 'github:typhonjs/backbone-es6@master'));
+      assert.isUndefined(packageFilter('lodash', 'npm:underscore@1.8.3'));
+      assert.strictEqual(packageFilter('widgets', 'bitbucket:acme/widgets@1.2.0'),
+       'not matched by the `includePackages` option');
+   });
+
+   it('matches RegExp literal strings', () =>
+   {
+      const packageFilter = createPackageFilter({ excludePackages: ['/^CORE-JS$/i', '/@1\\.7\\./'] });
+
+      assert.strictEqual(packageFilter('core-js', 'npm:core-js@1.2.6'), 'matched by the `excludePackages` option');
+      assert.strictEqual(packageFilter(void 0, 'npm:underscore@1.7.0'), 'matched by the `excludePackages` option');
+      assert.isUndefined(packageFilter(void 0, 'npm:underscore@1.8.3'));
+   });
+
+   it('matches objects with name, registry and version patterns', () =>
+   {
+      const packageFilter = createPackageFilter({ excludePackages: [{ registry: 'npm', version: '0.*' }] });
+
+      assert.strictEqual(packageFilter('a', 'npm:a@0.1.0'), 'matched by the `excludePackages` option');
+      assert.isUndefined(packageFilter('a', 'npm:a@1.0.0'));
+      assert.isUndefined(packageFilter('a', 'github:owner/a@0.1.0'));
+   });
+
+   it('excludes packages after includes', () =>
+   {
+      const packageFilter = createPackageFilter({ includePackages: ['*'], excludePackages: [{ name: 'underscore' }] });
+
+      assert.strictEqual(packageFilter(void 0, 'npm:underscore@1.8.3'), 'matched by the `excludePackages` option');
+      assert.isUndefined(packageFilter('backbone', 'github:typhonjs/backbone-es6@master'));
+   });
+
+   it('rejects empty, unknown and RegExp object patterns', () =>
+   {
+      // ESDoc copies plugin options through JSON which turns a RegExp into an empty object.
+      const patterns = [JSON.parse(JSON.stringify(/^nothing$/)), { names: 'underscore' }, /^nothing$/, 42, ''];
+
+      patterns.forEach((pattern) =>
+      {
+         try
+         {
+            createPackageFilter({ excludePackages: [pattern] });
+            assert.fail(`expected a ConfigError for ${String(pattern)}`);
+         }
+         catch (err)
+         {
+            assert.instanceOf(err, ConfigError);
+            assert.strictEqual(err.code, ErrorCodes.INVALID_PACKAGE_PATTERN);
+         }
+      });
+   });
+});
@@ -0,0 +1,122 @@
+import { assert }         from 'chai';
+
+import packageGraphParser from '../../src/packageGraphParser.js';
+
+/**
+ * Creates parsed JSPM data for a root project with one main package which depends on one child package.
+ *
+ * @returns {object}
+ */
+const createJSPMData = () =>
+{
+   const backbone = { packageName: 'backbone', fullPackage: 'github:typhonjs/backbone-es6@master' };
+   const underscore = { packageName: 'underscore', fullPackage: 'npm:underscore@1.8.3' };
+
+   return {
+      childPackageMap: { 'github:typhonjs/backbone-es6@master': { underscore: 'npm:underscore@1.8.3' } },
+      jspmDevPackageMap: {},
+      jspmPackageMap: { backbone: 'github:typhonjs/backbone-es6@master' },
+      jspmPeerPackageMap: {},
+      normPackageDataAll: { 'github-typhonjs-backbone-es6-master': backbone, 'npm-underscore-1-8-3': underscore },
+      rootPackageName: 'test',
+      topLevelPackages: { backbone: 'github:typhonjs/backbone-es6@master' }
+   };
+};
+
+/**
+ * Confirms that consecutive invocations of `packageGraphParser` do not share state.
+ *
+ * @test {packageGraphParser}
+ */
+describe('Package Graph Parser', () =>
+{
+   it('creates the same graph for consecutive builds', () =>
+   {
+      const graph1 = packageGraphParser({}, createJSPMData());
+      const graph2 = packageGraphParser({}, createJSPMData());
+
+      assert.notStrictEqual(graph1.packageGraphAll, graph2.packageGraphAll);
+
+      assert.deepEqual(graph2.packageGraphAll.nodes.map((node) => node.id),
+       ['root-test-master', 'github-typhonjs-backbone-es6-master', 'npm-underscore-1-8-3']);
+
+      assert.lengthOf(graph2.packageGraphAll.links, 2);
+      assert.strictEqual(graph2.packageGraphAll.maxLevel, 2);
+      assert.lengthOf(graph2.packageGraphDev.nodes, 1);
+   });
+
+   it('detects dependency cycles', () =>
+   {
+      const jspmData = createJSPMData();
+
+      // underscore -> backbone closes a cycle backbone -> underscore -> backbone.
+      jspmData.childPackageMap['npm:underscore@1.8.3'] = { backbone: 'github:typhonjs/backbone-es6@master' };
+
+      const graph = packageGraphParser({}, jspmData);
+
+      assert.deepEqual(graph.packageGraphAll.cycles,
+       [['github-typhonjs-backbone-es6-master', 'npm-underscore-1-8-3']]);
+
+      assert.deepEqual(graph.packageGraphDev.cycles, []);
+   });
+
+   it('detects no cycles in an acyclic graph', () =>
+   {
+      const graph = packageGraphParser({}, createJSPMData());
+
+      assert.deepEqual(graph.packageGraphAll.cycles, []);
+      assert.deepEqual(graph.packageGraphMain.cycles, []);
+   });
+
+   it('groups duplicate package versions with their parents', () =>
+   {
+      const jspmData = createJSPMData();
+
+      // The root project pulls in underscore 1.7.0 while backbone pulls in underscore 1.8.3.
+      jspmData.jspmPackageMap.underscore = 'npm:underscore@1.7.0';
+      jspmData.topLevelPackages.underscore = 'npm:underscore@1.7.0';
+
+      const graph = packageGraphParser({}, jspmData);
+
+      assert.deepEqual(graph.packageGraphAll.duplicates,
+      [{
+         registry: 'npm',
+         name: 'underscore',
+         versions:
+         [
+            { version: '1.7.0', id: 'npm-underscore-1-7-0', parents: ['root-test-master'] },
+            { version: '1.8.3', id: 'npm-underscore-1-8-3', parents: ['github-typhonjs-backbone-es6-master'] }
+         ]
+      }]);
+
+      assert.deepEqual(graph.packageGraphDev.duplicates, []);
+   });
+
+   it('skips child packages filtered by options', () =>
+   {
+      const graph = packageGraphParser({ excludePackages: ['npm:*'] }, createJSPMData());
+
+      assert.deepEqual(graph.packageGraphAll.nodes.map((node) => node.id),
+       ['root-test-master', 'github-typhonjs-backbone-es6-master']);
+   });
+
+   it('marks packages which are not ESDoc linked as undocumented', () =>
+   {
+      const jspmData = createJSPMData();
+
+      // Only backbone is ESDoc linked IE underscore is beyond `maxDepth`.
+      jspmData.normPackageDataESDoc = { 'github-typhonjs-backbone-es6-master': jspmData.normPackageDataAll[
+       'github-typhonjs-backbone-es6-master'] };
+
+      const graph = packageGraphParser({}, jspmData);
+
+      assert.deepEqual(graph.packageGraphAll.nodes.map((node) => node.isDocumented), [true, true, false]);
+   });
+
+   it('exports the last graph to global', () =>
+   {
+      const graph = packageGraphParser({}, createJSPMData());
+
+      assert.strictEqual(global.$$esdoc_plugin_jspm_package_graph, graph);
+   });
+});
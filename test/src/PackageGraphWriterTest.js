@@ -0,0 +1,108 @@
+import { assert }         from 'chai';
+import fs                 from 'fs-extra';
+import os                 from 'os';
+import path               from 'path';
+
+import packageGraphWriter from '../../src/packageGraphWriter.js';
+
+/**
+ * Confirms that package graphs are written as JSON, Graphviz DOT and GraphML.
+ *
+ * @test {packageGraphWriter}
+ */
+describe('Package Graph Writer', () =>
+{
+   const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'esdoc-plugin-jspm-package-graph-writer-'));
+
+   const packageGraph =
+   {
+      packageGraphAll:
+      {
+         maxLevel: 1,
+         nodes:
+         [
+            { id: 'root-test-master', minLevel: 0, packageData: { packageName: 'test', version: 'master',
+             jspmType: 'root', isAlias: false } },
+            { id: 'npm-underscore-1-8-3', minLevel: 1, packageData: { packageName: 'lodash',
+             actualPackageName: 'underscore', version: '1.8.3', jspmType: 'npm', isAlias: true } }
+         ],
+         links: [{ source: 0, target: 1, minLevel: 1 }]
+      }
+   };
+
+   let files;
+
+   before(() => { files = packageGraphWriter(packageGraph, outputDir); });
+
+   after(() => { fs.removeSync(outputDir); });
+
+   it('writes all formats', () =>
+   {
+      assert.deepEqual(files.map((file) => path.basename(file)),
+       ['packageGraphAll.json', 'packageGraphAll.dot', 'packageGraphAll.graphml']);
+   });
+
+   it('writes JSON with node data', () =>
+   {
+      const graph = JSON.parse(fs.readFileSync(path.join(outputDir, 'packageGraphAll.json'), 'utf-8'));
+
+      assert.deepEqual(graph.nodes[1], { id: 'npm-underscore-1-8-3', name: 'lodash', actualName: 'underscore',
+       version: '1.8.3', jspmType: 'npm', isAlias: true, minLevel: 1, isDocumented: false, cycle: -1 });
+
+      assert.deepEqual(graph.links, [{ source: 'root-test-master', target: 'npm-underscore-1-8-3', minLevel: 1 }]);
+      assert.deepEqual(graph.duplicates, []);
+   });
+
+   it('writes DOT', () =>
+   {
+      const dot = fs.readFileSync(path.join(outputDir, 'packageGraphAll.dot'), 'utf-8');
+
+      assert.include(dot, 'digraph "packageGraphAll" {');
+      assert.include(dot, '"npm-underscore-1-8-3" [label="lodash\\n1.8.3", actualName="underscore"');
+      assert.include(dot, '"root-test-master" -> "npm-underscore-1-8-3" [minLevel=1];');
+   });
+
+   it('writes GraphML', () =>
+   {
+      const graphml = fs.readFileSync(path.join(outputDir, 'packageGraphAll.graphml'), 'utf-8');
+
+      assert.include(graphml, '<node id="npm-underscore-1-8-3">');
+      assert.include(graphml, '<data key="isAlias">true</data>');
+      assert.include(graphml, '<edge source="root-test-master" target="npm-underscore-1-8-3">');
+   });
+
+   it('marks dependency cycles', () =>
+   {
+      const cycleDir = path.join(outputDir, 'cycles');
+
+      const cycleGraph =
+      {
+         packageGraphAll:
+         {
+            maxLevel: 2,
+            nodes:
+            [
+               { id: 'root-test-master', minLevel: 0 },
+               { id: 'npm-a-1-0-0', minLevel: 1 },
+               { id: 'npm-b-1-0-0', minLevel: 2 }
+            ],
+            links: [{ source: 0, target: 1, minLevel: 1 }, { source: 1, target: 2, minLevel: 2 },
+             { source: 2, target: 1, minLevel: 3 }],
+            cycles: [['npm-a-1-0-0', 'npm-b-1-0-0']]
+         }
+      };
+
+      packageGraphWriter(cycleGraph, cycleDir);
+
+      const graph = JSON.parse(fs.readFileSync(path.join(cycleDir, 'packageGraphAll.json'), 'utf-8'));
+
+      assert.deepEqual(graph.cycles, [['npm-a-1-0-0', 'npm-b-1-0-0']]);
+      assert.deepEqual(graph.nodes.map((node) => node.cycle), [-1, 0, 0]);
+
+      const dot = fs.readFileSync(path.join(cycleDir, 'packageGraphAll.dot'), 'utf-8');
+
+      assert.include(dot, 'minLevel=1, isDocumented=false, cycle=0, color="red", style="dashed"];');
+      assert.include(dot, '"root-test-master" -> "npm-a-1-0-0" [minLevel=1];');
+      assert.include(dot, '"npm-b-1-0-0" -> "npm-a-1-0-0" [minLevel=3, color="red"];');
+   });
+});
@@ -0,0 +1,62 @@
+import { assert }         from 'chai';
+import fs                 from 'fs-extra';
+import os                 from 'os';
+import path               from 'path';
+
+import Logger             from '../../src/Logger.js';
+import PackageNormalizer  from '../../src/PackageNormalizer.js';
+import systemLoader       from '../../src/systemLoader.js';
+
+/**
+ * Confirms that packages from registries other than `npm` and `github` are normalized.
+ *
+ * @test {PackageNormalizer#parseNormalizedPackage}
+ */
+describe('Package Normalizer (registries)', () =>
+{
+   const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'esdoc-plugin-jspm-package-normalizer-'));
+
+   const packageObj = { name: 'test', jspm: {} };
+
+   let System;
+
+   before(() =>
+   {
+      fs.emptyDirSync(rootPath);
+
+      fs.mkdirsSync(path.join(rootPath, 'jspm_packages/bitbucket/acme/widgets@1.2.0'));
+      fs.mkdirsSync(path.join(rootPath, 'jspm_packages/local/mylib@0.1.0'));
+
+      fs.writeFileSync(path.join(rootPath, 'jspm.config.js'), `
+SystemJS.config({
+  paths: { "bitbucket:": "jspm_packages/bitbucket/", "local:": "jspm_packages/local/" },
+  map: { "widgets": "bitbucket:acme/widgets@1.2.0", "mylib": "local:mylib@0.1.0" }
+});`);
+
+      System = systemLoader(rootPath, packageObj).System;
+   });
+
+   after(() => { fs.removeSync(rootPath); });
+
+   it('parses SCM data for bitbucket packages', () =>
+   {
+      const result = PackageNormalizer.parseNormalizedPackage(System, 'widgets', rootPath, 'jspm_packages',
+       new Logger({ logLevel: 'off' }));
+
+      assert.strictEqual(result.registry, 'bitbucket');
+      assert.strictEqual(result.scmType, 'bitbucket');
+      assert.strictEqual(result.version, '1.2.0');
+      assert.deepEqual(result.scmLink, { type: 'bitbucket', link: 'https://bitbucket.org/acme/widgets' });
+   });
+
+   it('sets package type to the registry for other registries', () =>
+   {
+      const result = PackageNormalizer.parseNormalizedPackage(System, 'mylib', rootPath, 'jspm_packages',
+       new Logger({ logLevel: 'off' }));
+
+      assert.strictEqual(result.registry, 'local');
+      assert.strictEqual(result.packageType, 'local');
+      assert.strictEqual(result.version, '0.1.0');
+      assert.isFalse(result.isAlias);
+   });
+});
@@ -0,0 +1,113 @@
+import { assert }         from 'chai';
+import fs                 from 'fs-extra';
+import os                 from 'os';
+import path               from 'path';
+
+import packagePages       from '../../src/packagePages.js';
+
+/**
+ * Confirms that an overview page is written for each linked package in addition to an index page.
+ *
+ * @test {packagePages}
+ */
+describe('Package Pages', () =>
+{
+   const docDestination = fs.mkdtempSync(path.join(os.tmpdir(), 'esdoc-plugin-jspm-package-pages-'));
+
+   const backboneData = { packageName: 'backbone', actualPackageName: 'backbone-es6', isAlias: true,
+    fullPackage: 'github:typhonjs-backbone/backbone-es6@master', version: 'master', registry: 'github',
+     relativePath: 'jspm_packages/github/typhonjs-backbone/backbone-es6@master',
+      scmLink: { type: 'github', link: 'https://github.com/typhonjs-backbone/backbone-es6' } };
+
+   const eventsData = { packageName: 'events', actualPackageName: 'events', isAlias: false,
+    fullPackage: 'npm:events@1.1.0', version: '1.1.0', registry: 'npm',
+     relativePath: 'jspm_packages/npm/events@1.1.0' };
+
+   const packageGraph =
+   {
+      packageGraphAll:
+      {
+         maxLevel: 2,
+         nodes:
+         [
+            { id: 'root-test-master', minLevel: 0, packageData: { packageName: 'test', version: 'master',
+             jspmType: 'root' } },
+            { id: 'github-typhonjs-backbone-backbone-es6-master', minLevel: 1, packageData: backboneData },
+            { id: 'npm-underscore-1-8-3', minLevel: 2, packageData: { packageName: 'underscore', version: '1.8.3',
+             jspmType: 'npm' } },
+            { id: 'npm-events-1-1-0', minLevel: 1, packageData: eventsData }
+         ],
+         links:
+         [
+            { source: 0, target: 1, minLevel: 1 }, { source: 1, target: 2, minLevel: 2 },
+            { source: 0, target: 3, minLevel: 1 }, { source: 1, target: 3, minLevel: 2 },
+            { source: 3, target: 2, minLevel: 2 }, { source: 3, target: 2, minLevel: 3 }
+         ]
+      },
+      packageGraphMain:
+      {
+         nodes: [{ id: 'root-test-master' }, { id: 'github-typhonjs-backbone-backbone-es6-master' },
+          { id: 'npm-underscore-1-8-3' }]
+      },
+      packageGraphPeer: { nodes: [{ id: 'root-test-master' }, { id: 'npm-events-1-1-0' }] }
+   };
+
+   const packageDocs =
+   {
+      'github-typhonjs-backbone-backbone-es6-master':
+      [
+         { kind: 'class', name: 'Collection', url: 'class/Collection.js~Collection.html' },
+         { kind: 'typedef', name: 'Options', url: 'typedef/index.html#static-typedef-Options' }
+      ]
+   };
+
+   let packageIDs;
+
+   before(() =>
+   {
+      fs.outputFileSync(path.join(docDestination, 'index.html'), '<html>\n<head>\n<base data-ice="baseUrl">\n'
+       + '<title data-ice="title">API Document</title>\n</head>\n<body>\n'
+        + '<div class="content" data-ice="content"></div>\n<footer class="footer"></footer>\n</body>\n</html>\n');
+
+      packageIDs = packagePages(docDestination, { backbone: backboneData, events: eventsData }, packageGraph,
+       packageDocs);
+   });
+
+   after(() => { fs.removeSync(docDestination); });
+
+   it('writes index page', () =>
+   {
+      assert.deepEqual(packageIDs, ['github-typhonjs-backbone-backbone-es6-master', 'npm-events-1-1-0']);
+
+      const html = fs.readFileSync(path.join(docDestination, 'package', 'index.html'), 'utf-8');
+
+      assert(html.indexOf('<a href="package/github-typhonjs-backbone-backbone-es6-master.html">backbone</a>') >= 0);
+      assert(html.indexOf('<td>backbone-es6</td>') >= 0);
+   });
+
+   it('writes package page with metadata, dependencies and documented identifiers', () =>
+   {
+      const html = fs.readFileSync(path.join(docDestination, 'package',
+       'github-typhonjs-backbone-backbone-es6-master.html'), 'utf-8');
+
+      assert(html.indexOf('<tr><td>Alias of</td><td>backbone-es6</td></tr>') >= 0);
+      assert(html.indexOf('<tr><td>Scope</td><td>main</td></tr>') >= 0);
+      assert(html.indexOf('<a href="https://github.com/typhonjs-backbone/backbone-es6">') >= 0);
+      assert(html.indexOf('<h2>Dependencies</h2>\n  <ul><li>underscore 1.8.3</li>'
+       + '<li><a href="package/npm-events-1-1-0.html">events 1.1.0</a></li></ul>') >= 0);
+      assert(html.indexOf('<h2>Dependents</h2>\n  <ul><li>test master</li></ul>') >= 0);
+      assert(html.indexOf('<a href="class/Collection.js~Collection.html">Collection</a>') >= 0);
+      assert(html.indexOf('<a href="typedef/index.html#static-typedef-Options">Options</a>') >= 0);
+      assert(html.indexOf('<h2>Functions</h2>') < 0);
+   });
+
+   it('labels peer packages and lists each dependency and dependent once', () =>
+   {
+      const html = fs.readFileSync(path.join(docDestination, 'package', 'npm-events-1-1-0.html'), 'utf-8');
+
+      assert(html.indexOf('<tr><td>Scope</td><td>peer</td></tr>') >= 0);
+      assert(html.indexOf('<h2>Dependencies</h2>\n  <ul><li>underscore 1.8.3</li></ul>') >= 0);
+      assert(html.indexOf('<h2>Dependents</h2>\n  <ul><li>test master</li>'
+       + '<li><a href="package/github-typhonjs-backbone-backbone-es6-master.html">backbone master</a></li></ul>') >= 0);
+   });
+});
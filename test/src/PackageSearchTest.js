@@ -0,0 +1,78 @@
+import { assert }         from 'chai';
+
+import packageSearch      from '../../src/packageSearch.js';
+
+import { getSearchIndexText }  from '../../src/packageSearch.js';
+
+/**
+ * Confirms that search index entries receive their origin package and that linked packages are searchable.
+ *
+ * @test {packageSearch}
+ */
+describe('Package Search', () =>
+{
+   const backboneData = { packageName: 'backbone', actualPackageName: 'backbone-es6', isAlias: true,
+    fullPackage: 'github:typhonjs-backbone/backbone-es6@master', version: 'master', registry: 'github' };
+
+   const packageGraph =
+   {
+      packageGraphAll:
+      {
+         maxLevel: 1,
+         nodes:
+         [
+            { id: 'root-test-master', minLevel: 0, packageData: { packageName: 'test', version: 'master',
+             jspmType: 'root' } },
+            { id: 'github-typhonjs-backbone-backbone-es6-master', minLevel: 1, packageData: backboneData }
+         ],
+         links: [{ source: 0, target: 1, minLevel: 1 }]
+      }
+   };
+
+   const collectionTag = { name: 'Collection', importPath: 'backbone-es6/src/Collection.js',
+    longname: 'jspm_packages/github/typhonjs-backbone/backbone-es6@master/src/Collection.js~Collection' };
+
+   const testTag = { name: 'TestCollection', importPath: 'test/src/TestCollection.js',
+    longname: 'src/TestCollection.js~TestCollection' };
+
+   const createSearchIndex = () =>
+   [
+      ['backbone-es6/src/collection.js~collection', 'class/Collection.js~Collection.html', 'Collection', 'class'],
+      ['test/src/testcollection.js~testcollection', 'class/TestCollection.js~TestCollection.html', 'TestCollection',
+       'class'],
+      ['builtinexternal/ecmascriptexternal.js~array', 'external/index.html', 'Array', 'external']
+   ];
+
+   const searchPackages = {};
+
+   searchPackages[getSearchIndexText(collectionTag)] = 'github-typhonjs-backbone-backbone-es6-master';
+   searchPackages[getSearchIndexText(testTag)] = 'root-test-master';
+
+   it('adds origin package to entries', () =>
+   {
+      const searchIndex = packageSearch(createSearchIndex(), searchPackages, packageGraph, { backbone: backboneData },
+       false);
+
+      assert.strictEqual(searchIndex.length, 3);
+
+      assert.deepEqual(searchIndex[0][4], { id: 'github-typhonjs-backbone-backbone-es6-master', name: 'backbone',
+       version: 'master', isLocal: false });
+
+      assert.deepEqual(searchIndex[1][4], { id: 'root-test-master', name: 'test', version: 'master', isLocal: true });
+
+      assert.isUndefined(searchIndex[2][4]);
+   });
+
+   it('adds searchable package entries', () =>
+   {
+      const searchIndex = packageSearch(createSearchIndex(), searchPackages, packageGraph, { backbone: backboneData },
+       true);
+
+      const entry = searchIndex[3];
+
+      assert.strictEqual(entry[0], 'backbone backbone-es6 github:typhonjs-backbone/backbone-es6@master');
+      assert.strictEqual(entry[1], 'package/github-typhonjs-backbone-backbone-es6-master.html');
+      assert.strictEqual(entry[3], 'package');
+      assert.strictEqual(entry[4].id, 'github-typhonjs-backbone-backbone-es6-master');
+   });
+});
@@ -0,0 +1,105 @@
+import { assert }   from 'chai';
+
+import { onHandleConfig, onStart }  from '../../src/plugin.js';
+
+/**
+ * Confirms that the source root of JSPM packages without an ESDoc config is inferred from `package.json` or supplied by
+ * `option.packageSources` and that a source root at the package root limits the included files. The test fixture
+ * links `backbone-es6` which provides an ESDoc config and its dependency `underscore` which has a root level `main`
+ * entry.
+ *
+ * @test {packageParser}
+ */
+describe('Package Sources', () =>
+{
+   /**
+    * Runs the plugin configuration hooks for the test fixture.
+    *
+    * @param {object}   option - Plugin options.
+    * @returns {{config: object, jspmData: object}}
+    */
+   const handleConfig = (option) =>
+   {
+      onStart({ data: { option: Object.assign({ logLevel: 'off' }, option) } });
+
+      const config = { 'source': './test/fixture', 'destination': './test/fixture/docs',
+       'package': './package.json' };
+
+      onHandleConfig({ data: { config } });
+
+      return { config, jspmData: global.$$esdoc_plugin_jspm };
+   };
+
+   /**
+    * Returns the normalized data of a package by package name.
+    *
+    * @param {object}   normData - Normalized package data.
+    * @param {string}   packageName - Package name.
+    * @returns {object|undefined}
+    */
+   const getPackage = (normData, packageName) => Object.keys(normData).map((key) => normData[key]).find((data) =>
+    data.packageName === packageName);
+
+   it('infers source roots from package.json', () =>
+   {
+      const { normPackageDataESDoc } = handleConfig({ inferPackageSources: true }).jspmData;
+
+      const backbone = getPackage(normPackageDataESDoc, 'backbone-es6');
+      const underscore = getPackage(normPackageDataESDoc, 'underscore');
+
+      assert.strictEqual(backbone.sourceOrigin, 'config');
+      assert.strictEqual(backbone.normalizedPath, 'backbone-es6/src');
+      assert.isFalse(backbone.isPackageRoot);
+
+      assert.strictEqual(underscore.sourceOrigin, 'package.json');
+      assert.strictEqual(underscore.normalizedPath, 'underscore');
+      assert.isTrue(underscore.isPackageRoot);
+   });
+
+   it('skips packages without ESDoc config by default', () =>
+   {
+      const { normPackageDataESDoc, packageReport } = handleConfig({}).jspmData;
+
+      assert.isObject(getPackage(normPackageDataESDoc, 'backbone-es6'));
+      assert.isUndefined(getPackage(normPackageDataESDoc, 'underscore'));
+
+      const underscore = packageReport.find((entry) => entry.fullPackage === 'npm:underscore@1.8.3');
+
+      assert.isFalse(underscore.esdoc);
+      assert.strictEqual(underscore.skipReason, 'noConfig');
+   });
+
+   it('supplies and overrides source roots with packageSources', () =>
+   {
+      const { normPackageDataESDoc } = handleConfig({ inferPackageSources: false,
+       packageSources: { 'backbone-es6': '.', 'underscore': '.' } }).jspmData;
+
+      const backbone = getPackage(normPackageDataESDoc, 'backbone-es6');
+      const underscore = getPackage(normPackageDataESDoc, 'underscore');
+
+      assert.strictEqual(backbone.sourceOrigin, 'option');
+      assert.strictEqual(backbone.normalizedPath, 'backbone-es6');
+      assert.strictEqual(underscore.sourceOrigin, 'option');
+      assert.strictEqual(underscore.normalizedPath, 'underscore');
+   });
+
+   it('excludes minified, test and node_modules files at the package root', () =>
+   {
+      const { config } = handleConfig({ inferPackageSources: true });
+
+      const isIncluded = (filePath) => config.includes.some((pattern) => new RegExp(pattern).test(filePath));
+
+      const backboneDir = 'jspm_packages/github/typhonjs-backbone/backbone-es6@master';
+      const underscoreDir = 'jspm_packages/npm/underscore@1.8.3';
+
+      assert.isTrue(isIncluded(`${underscoreDir}/underscore.js`));
+      assert.isTrue(isIncluded(`${underscoreDir}/lib/util.js`));
+      assert.isTrue(isIncluded(`${backboneDir}/src/test/helper.js`));
+
+      assert.isFalse(isIncluded(`${underscoreDir}/underscore.min.js`));
+      assert.isFalse(isIncluded(`${underscoreDir}/test/index.js`));
+      assert.isFalse(isIncluded(`${underscoreDir}/lib/__tests__/util.js`));
+      assert.isFalse(isIncluded(`${underscoreDir}/node_modules/dep/index.js`));
+      assert.isFalse(isIncluded(`${underscoreDir}/README.md`));
+   });
+});
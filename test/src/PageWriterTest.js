@@ -0,0 +1,51 @@
+import { assert }         from 'chai';
+import fs                 from 'fs-extra';
+import os                 from 'os';
+import path               from 'path';
+
+import pageWriter, { addHeaderLink } from '../../src/pageWriter.js';
+
+/**
+ * Confirms that additional pages use the layout of `index.html` and that header links are added in order.
+ *
+ * @test {pageWriter}
+ */
+describe('Page Writer', () =>
+{
+   const docDestination = fs.mkdtempSync(path.join(os.tmpdir(), 'esdoc-plugin-jspm-page-writer-'));
+
+   before(() =>
+   {
+      fs.outputFileSync(path.join(docDestination, 'index.html'), '<html>\n<head>\n<base data-ice="baseUrl">\n'
+       + '<title data-ice="title">API Document</title>\n</head>\n<body>\n'
+        + '<div class="content" data-ice="content"><h1>Readme</h1></div>\n<footer class="footer"></footer>\n'
+         + '</body>\n</html>\n');
+   });
+
+   after(() => { fs.removeSync(docDestination); });
+
+   it('writes page in sub directory', () =>
+   {
+      pageWriter(docDestination, 'package/test.html', { title: 'A & B', content: '<h1>Test</h1>',
+       styles: ['css/test.css'], scripts: ['script/test.js'] });
+
+      const html = fs.readFileSync(path.join(docDestination, 'package', 'test.html'), 'utf-8');
+
+      assert(html.indexOf('<base data-ice="baseUrl" href="../">') >= 0);
+      assert(html.indexOf('<title data-ice="title">A &amp; B | API Document</title>') >= 0);
+      assert(html.indexOf('<div class="content" data-ice="content"><h1>Test</h1></div>\n<footer') >= 0);
+      assert(html.indexOf('<link type="text/css" rel="stylesheet" href="css/test.css">\n</head>') >= 0);
+      assert(html.indexOf('<script src="script/test.js"></script>\n</body>') >= 0);
+   });
+
+   it('adds header links after source link', () =>
+   {
+      let html = '<a href="source.html">Source</a>\n  \n  <a data-ice="repoURL" href="repo">Repository</a>';
+
+      html = addHeaderLink(html, 'dependencies.html', 'Dependencies');
+      html = addHeaderLink(html, 'package/index.html', 'Packages');
+
+      assert.strictEqual(html, '<a href="source.html">Source</a>\n  <a href="dependencies.html">Dependencies</a>\n'
+       + '  <a href="package/index.html">Packages</a>\n  \n  <a data-ice="repoURL" href="repo">Repository</a>');
+   });
+});
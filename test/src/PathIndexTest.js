@@ -0,0 +1,50 @@
+import { assert }         from 'chai';
+
+import PathIndex          from '../../src/PathIndex.js';
+
+/**
+ * Confirms that the path index resolves the longest prefix on segment boundaries.
+ *
+ * @test {PathIndex}
+ */
+describe('Path Index', () =>
+{
+   const index = new PathIndex('/');
+
+   index.set('jspm_packages/npm/underscore@1.8.3', 'underscore');
+   index.set('jspm_packages/github/typhonjs-backbone/backbone-es6@master', 'backbone');
+   index.set('jspm_packages/github/typhonjs-backbone/backbone-es6@master/src/', 'backbone-src');
+
+   it('finds longest prefix', () =>
+   {
+      const match = index.find('jspm_packages/github/typhonjs-backbone/backbone-es6@master/src/Collection.js');
+
+      assert.strictEqual(match.value, 'backbone-src');
+      assert.strictEqual(match.prefix, 'jspm_packages/github/typhonjs-backbone/backbone-es6@master/src');
+      assert.strictEqual(match.end, match.prefix.length);
+
+      assert.strictEqual(index.find('jspm_packages/github/typhonjs-backbone/backbone-es6@master/test/a.js').value,
+       'backbone');
+   });
+
+   it('only matches on segment boundaries', () =>
+   {
+      assert.isUndefined(index.find('jspm_packages/npm/underscore@1.8.30/underscore.js'));
+      assert.isUndefined(index.find('jspm_packages/npm'));
+      assert.strictEqual(index.find('jspm_packages/npm/underscore@1.8.3').value, 'underscore');
+   });
+
+   it('finds from start index', () =>
+   {
+      const match = index.find('root/jspm_packages/npm/underscore@1.8.3/underscore.js', 5);
+
+      assert.strictEqual(match.prefix, 'jspm_packages/npm/underscore@1.8.3');
+      assert.strictEqual(match.end, 39);
+   });
+
+   it('lists entries', () =>
+   {
+      assert.strictEqual(index.size, 3);
+      assert.deepEqual(index.entries().map((entry) => entry.value), ['backbone', 'backbone-src', 'underscore']);
+   });
+});
@@ -0,0 +1,289 @@
+import { assert }         from 'chai';
+import fs                 from 'fs-extra';
+import os                 from 'os';
+import path               from 'path';
+
+import Logger             from '../../src/Logger.js';
+import packageParser      from '../../src/packageParser.js';
+import PluginError        from '../../src/PluginError.js';
+
+import { ConfigError, ErrorCodes, PackageError }  from '../../src/PluginError.js';
+import { onStart }                                from '../../src/plugin.js';
+
+/**
+ * Confirms that errors carry stable codes with the offending file / package and that broken packages are skipped when
+ * `options.strict` is false.
+ *
+ * @test {PluginError}
+ */
+describe('Plugin Errors', () =>
+{
+   const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'esdoc-plugin-jspm-plugin-error-'));
+
+   const packageDir = path.join(rootPath, 'jspm_packages', 'npm', 'widgets@1.2.0');
+
+   const config = { 'jspmRootPath': rootPath, 'package': path.join(rootPath, 'package.json') };
+
+   /**
+    * Creates the plugin options for `packageParser` with the defaults of `onStart`.
+    *
+    * @param {boolean}  strict - Strict mode.
+    * @returns {object}
+    */
+   const createOptions = (strict) =>
+   {
+      const option = { logLevel: 'off', strict };
+
+      onStart({ data: { option } });
+
+      return option;
+   };
+
+   const log = new Logger({ logLevel: 'off' });
+
+   before(() =>
+   {
+      fs.emptyDirSync(rootPath);
+
+      fs.outputFileSync(path.join(rootPath, 'package.json'), JSON.stringify({ name: 'test',
+       jspm: { dependencies: { widgets: 'npm:widgets@^1.2.0' } } }));
+
+      fs.outputFileSync(path.join(rootPath, 'jspm.config.js'),
+       'SystemJS.config({ paths: { "npm:": "jspm_packages/npm/" }, map: { "widgets": "npm:widgets@1.2.0" } });');
+
+      // The ESDoc config of the package does not have a `source` entry.
+      fs.outputFileSync(path.join(packageDir, '.esdocrc'), JSON.stringify({ destination: 'docs' }));
+   });
+
+   after(() => { fs.removeSync(rootPath); });
+
+   it('provides codes and prototype chain', () =>
+   {
+      const error = new PackageError(ErrorCodes.PACKAGE_SOURCE_MISSING, 'broken', { file: '.esdocrc',
+       packageName: 'npm:widgets@1.2.0' });
+
+      assert.instanceOf(error, PackageError);
+      assert.instanceOf(error, PluginError);
+      assert.instanceOf(error, Error);
+      assert.notInstanceOf(error, ConfigError);
+      assert.strictEqual(error.name, 'PackageError');
+      assert.strictEqual(error.code, 'ERR_PACKAGE_SOURCE_MISSING');
+      assert.strictEqual(String(error), 'PackageError: broken');
+      assert.isString(error.stack);
+      assert.deepEqual(error.toLogData(), { code: 'ERR_PACKAGE_SOURCE_MISSING', file: '.esdocrc',
+       packageName: 'npm:widgets@1.2.0' });
+   });
+
+   it('throws for broken package in strict mode', () =>
+   {
+      try
+      {
+         packageParser(config, createOptions(true), log);
+         assert.fail('expected a PackageError');
+      }
+      catch (err)
+      {
+         assert.instanceOf(err, PackageError);
+         assert.strictEqual(err.code, ErrorCodes.PACKAGE_SOURCE_MISSING);
+         assert.strictEqual(err.file, path.join(packageDir, '.esdocrc'));
+         assert.strictEqual(err.packageName, 'npm:widgets@1.2.0');
+      }
+   });
+
+   it('skips broken package in lenient mode', () =>
+   {
+      const entries = [];
+
+      const jspmData = packageParser(config, createOptions(false),
+       new Logger({ logLevel: 'error', logger: (entry) => { entries.push(entry); } }));
+
+      assert.deepEqual(Object.keys(jspmData.normPackageDataESDoc), []);
+      assert.property(jspmData.normPackageDataAll, 'npm-widgets-1-2-0');
+
+      assert.strictEqual(entries.length, 1);
+      assert.strictEqual(entries[0].code, ErrorCodes.PACKAGE_SOURCE_MISSING);
+      assert.strictEqual(entries[0].packageName, 'npm:widgets@1.2.0');
+
+      const widgets = jspmData.packageReport.find((entry) => entry.packageName === 'widgets');
+
+      assert.isFalse(widgets.esdoc);
+      assert.strictEqual(widgets.skipReason, 'missingSource');
+   });
+
+   it('skips package with invalid ESDoc config in strict mode', () =>
+   {
+      const configRoot = path.join(rootPath, 'config');
+      const configFile = path.join(configRoot, 'jspm_packages', 'npm', 'gadgets@1.0.0', '.esdocrc');
+
+      fs.outputFileSync(path.join(configRoot, 'package.json'), JSON.stringify({ name: 'test',
+       jspm: { dependencies: { gadgets: 'npm:gadgets@1.0.0' } } }));
+
+      fs.outputFileSync(path.join(configRoot, 'jspm.config.js'),
+       'SystemJS.config({ paths: { "npm:": "jspm_packages/npm/" }, map: { "gadgets": "npm:gadgets@1.0.0" } });');
+
+      fs.outputFileSync(configFile, '{ invalid');
+
+      const entries = [];
+
+      const jspmData = packageParser({ 'jspmRootPath': configRoot, 'package': path.join(configRoot, 'package.json') },
+       createOptions(true), new Logger({ logLevel: 'warn', logger: (entry) => { entries.push(entry); } }));
+
+      assert.deepEqual(jspmData.normPackageDataESDoc, {});
+      assert.property(jspmData.normPackageDataAll, 'npm-gadgets-1-0-0');
+
+      const entry = entries.find((logEntry) => logEntry.code === ErrorCodes.ESDOC_CONFIG_INVALID);
+
+      assert.strictEqual(entry.level, 'warn');
+      assert.strictEqual(entry.file, configFile);
+
+      const gadgets = jspmData.packageReport.find((reportEntry) => reportEntry.packageName === 'gadgets');
+
+      assert.isFalse(gadgets.esdoc);
+      assert.strictEqual(gadgets.skipReason, 'invalidConfig');
+   });
+
+   it('reports invalid package.json', () =>
+   {
+      const invalidRoot = path.join(rootPath, 'invalid');
+      const packagePath = path.join(invalidRoot, 'package.json');
+
+      fs.outputFileSync(packagePath, '{ "name": ');
+
+      try
+      {
+         packageParser({ 'jspmRootPath': invalidRoot, 'package': packagePath }, createOptions(true), log);
+         assert.fail('expected a ConfigError');
+      }
+      catch (err)
+      {
+         assert.instanceOf(err, ConfigError);
+         assert.strictEqual(err.code, ErrorCodes.PACKAGE_JSON_INVALID);
+         assert.strictEqual(err.file, packagePath);
+      }
+   });
+});
+
+/**
+ * Confirms that an invalid `package.json` of an ESDoc linked JSPM package fails the build in strict mode and is skipped
+ * with a skip reason when `options.strict` is false, while a missing package directory and undocumented packages with
+ * an invalid `package.json` are only logged as warnings.
+ *
+ * @test {PackageNormalizer#parseNormalizedPackage}
+ */
+describe('Plugin Errors (packages)', () =>
+{
+   const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'esdoc-plugin-jspm-plugin-error-packages-'));
+   const npmDir = path.join(rootPath, 'jspm_packages', 'npm');
+
+   const config = { 'jspmRootPath': rootPath, 'package': path.join(rootPath, 'package.json') };
+
+   const log = new Logger({ logLevel: 'off' });
+
+   /**
+    * Creates the plugin options for `packageParser` with the defaults of `onStart`.
+    *
+    * @param {boolean}        [strict] - Strict mode; defaults to the plugin default.
+    * @param {Array<string>}  [packages] - Top level packages to parse; defaults to all packages.
+    * @returns {object}
+    */
+   const createOptions = (strict, packages) =>
+   {
+      const option = { logLevel: 'off', strict, packages };
+
+      onStart({ data: { option } });
+
+      return option;
+   };
+
+   /**
+    * Parses the test project with the given options collecting all log entries of the `warn` level and above.
+    *
+    * @param {object}         options - Plugin options.
+    * @param {Array<object>}  entries - Receives the log entries.
+    * @returns {object} Parsed JSPM data.
+    */
+   const parse = (options, entries) =>
+    packageParser(config, options, new Logger({ logLevel: 'warn', logger: (entry) => { entries.push(entry); } }));
+
+   before(() =>
+   {
+      fs.emptyDirSync(rootPath);
+
+      fs.outputFileSync(path.join(rootPath, 'package.json'), JSON.stringify({ name: 'test',
+       jspm: { dependencies: { gone: 'npm:gone@1.0.0', broken: 'npm:broken@1.0.0',
+        documented: 'npm:documented@1.0.0' } } }));
+
+      fs.outputFileSync(path.join(rootPath, 'jspm.config.js'), `SystemJS.config({ paths: { "npm:": "jspm_packages/npm/" },
+ map: { "gone": "npm:gone@1.0.0", "broken": "npm:broken@1.0.0", "documented": "npm:documented@1.0.0" } });`);
+
+      // `gone` is mapped, but not installed; `broken` has no ESDoc config.
+      fs.outputFileSync(path.join(npmDir, 'broken@1.0.0', 'package.json'), '{ "main": ');
+
+      fs.outputFileSync(path.join(npmDir, 'documented@1.0.0', '.esdocrc'), JSON.stringify({ source: 'src' }));
+      fs.outputFileSync(path.join(npmDir, 'documented@1.0.0', 'src', 'index.js'), 'export default class Doc {}\n');
+      fs.outputFileSync(path.join(npmDir, 'documented@1.0.0', 'package.json'), '{ "main": ');
+   });
+
+   after(() => { fs.removeSync(rootPath); });
+
+   it('does not fail a default build for undocumented packages', () =>
+   {
+      const entries = [];
+
+      const jspmData = parse(createOptions(void 0, ['gone', 'broken']), entries);
+
+      assert.deepEqual(jspmData.normPackageDataAll, {});
+      assert.deepEqual(jspmData.normPackageDataESDoc, {});
+
+      const goneEntry = entries.find((entry) => entry.code === ErrorCodes.PACKAGE_NOT_FOUND);
+
+      assert.strictEqual(goneEntry.level, 'warn');
+      assert.strictEqual(goneEntry.file, path.join(npmDir, 'gone@1.0.0'));
+
+      const brokenEntry = entries.find((entry) => entry.code === ErrorCodes.PACKAGE_JSON_INVALID);
+
+      assert.strictEqual(brokenEntry.level, 'warn');
+      assert.strictEqual(brokenEntry.file, path.join(npmDir, 'broken@1.0.0', 'package.json'));
+
+      const getReport = (packageName) => jspmData.packageReport.find((entry) => entry.packageName === packageName);
+
+      assert.strictEqual(getReport('gone').skipReason, 'missingPackage');
+      assert.strictEqual(getReport('broken').skipReason, 'invalidConfig');
+   });
+
+   it('throws for invalid package.json of ESDoc linked package in strict mode', () =>
+   {
+      try
+      {
+         packageParser(config, createOptions(true, ['documented']), log);
+         assert.fail('expected a PackageError');
+      }
+      catch (err)
+      {
+         assert.instanceOf(err, PackageError);
+         assert.strictEqual(err.code, ErrorCodes.PACKAGE_JSON_INVALID);
+         assert.strictEqual(err.file, path.join(npmDir, 'documented@1.0.0', 'package.json'));
+         assert.strictEqual(err.packageName, 'npm:documented@1.0.0');
+      }
+   });
+
+   it('skips packages with skip reasons in lenient mode', () =>
+   {
+      const entries = [];
+
+      const jspmData = parse(createOptions(false), entries);
+
+      assert.deepEqual(jspmData.normPackageDataESDoc, {});
+
+      const documentedEntry = entries.find((entry) => entry.code === ErrorCodes.PACKAGE_JSON_INVALID &&
+       entry.level === 'error');
+
+      assert.strictEqual(documentedEntry.file, path.join(npmDir, 'documented@1.0.0', 'package.json'));
+
+      const getReport = (packageName) => jspmData.packageReport.find((entry) => entry.packageName === packageName);
+
+      assert.strictEqual(getReport('gone').skipReason, 'missingPackage');
+      assert.strictEqual(getReport('documented').skipReason, 'invalidPackageJSON');
+      assert.isFalse(getReport('documented').resolved);
+   });
+});
@@ -0,0 +1,85 @@
+import { assert }         from 'chai';
+import fs                 from 'fs-extra';
+import os                 from 'os';
+import path               from 'path';
+
+import PathIndex          from '../../src/PathIndex.js';
+import reportWriter       from '../../src/reportWriter.js';
+
+/**
+ * Confirms that `report.json` lists the link status of packages, the `includes` array and all rewrite rules.
+ *
+ * @test {reportWriter}
+ */
+describe('Report Writer', () =>
+{
+   it('writes report of fixture build', () =>
+   {
+      const report = JSON.parse(fs.readFileSync('./test/fixture/docs/report.json', 'utf-8'));
+
+      const backbone = report.packages.find((entry) => entry.packageName === 'backbone-es6');
+
+      assert.strictEqual(backbone.fullPackage, 'github:typhonjs-backbone/backbone-es6@master');
+      assert.isTrue(backbone.isTopLevel);
+      assert.isTrue(backbone.resolved);
+      assert.isTrue(backbone.esdoc);
+      assert.isUndefined(backbone.skipReason);
+
+      const underscore = report.packages.find((entry) => entry.fullPackage === 'npm:underscore@1.8.3');
+
+      assert.isFalse(underscore.isTopLevel);
+      assert.isTrue(underscore.esdoc);
+
+      report.packages.filter((entry) => !entry.esdoc).forEach((entry) =>
+      {
+         assert.isString(entry.skipReason);
+         assert.isString(entry.skipMessage);
+      });
+
+      assert.strictEqual(report.includes.length, 3);
+      assert.isAbove(report.rewriteRules.ast.length, 0);
+      assert.isAbove(report.rewriteRules.imports.length, 0);
+      assert.isAbove(report.rewriteRules.html.length, 0);
+      assert.isAbove(report.rewriteRules.search.length, 0);
+   });
+
+   describe('rewrite rules', () =>
+   {
+      const docDestination = fs.mkdtempSync(path.join(os.tmpdir(), 'esdoc-plugin-jspm-report-writer-'));
+
+      after(() => { fs.removeSync(docDestination); });
+
+      it('lists rewrite rules', () =>
+      {
+         const packageIndex = new PathIndex('/');
+
+         packageIndex.set('jspm_packages/npm/lodash@4.0.0', { packageData: {} });
+         packageIndex.set('jspm_packages/npm/underscore@1.8.3', { packageData: {}, htmlLabel: 'underscore',
+          normalizedPath: 'underscore' });
+
+         const report = reportWriter(docDestination,
+          { rootPath: '/test', rootDirName: 'test', rootPackageName: 'test', jspmVersion: '0.16',
+           packageReport: [{ fullPackage: 'npm:lodash@4.0.0' }] },
+         {
+            includes: ['^src[\\\\/].*\\.(js|es6)$'],
+            astReplace: [{ from: /^underscore\//, to: 'jspm_packages/npm/underscore@1.8.3/' }],
+            importReplace: [{ from: 'test/test/src', to: 'test/src' }],
+            packageIndex
+         });
+
+         assert.deepEqual(JSON.parse(fs.readFileSync(path.join(docDestination, 'report.json'), 'utf-8')), report);
+
+         assert.strictEqual(report.packages.length, 1);
+         assert.deepEqual(report.rewriteRules.ast,
+          [{ from: '^underscore\\/', to: 'jspm_packages/npm/underscore@1.8.3/' }]);
+         assert.deepEqual(report.rewriteRules.imports, [{ from: 'test/test/src', to: 'test/src' }]);
+         assert.deepEqual(report.rewriteRules.html,
+         [
+            { from: 'test/jspm_packages/npm/underscore@1.8.3', to: 'underscore' },
+            { from: 'jspm_packages/npm/underscore@1.8.3', to: 'underscore' }
+         ]);
+         assert.deepEqual(report.rewriteRules.search,
+          [{ from: 'test/jspm_packages/npm/underscore@1.8.3', to: 'underscore' }]);
+      });
+   });
+});
@@ -0,0 +1,61 @@
+import { assert }   from 'chai';
+import fs           from 'fs-extra';
+import os           from 'os';
+import path         from 'path';
+
+import systemLoader from '../../src/systemLoader.js';
+
+/**
+ * Confirms that jspm 0.17 projects are detected and `jspm.config.js` / `jspm.browser.js` are parsed.
+ *
+ * @test {systemLoader}
+ */
+describe('System Loader (jspm 0.17)', () =>
+{
+   const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'esdoc-plugin-jspm-system-loader-'));
+
+   const packageObj = { name: 'test', jspm: { dependencies: { backbone: 'github:typhonjs/backbone-es6@master' } } };
+
+   before(() =>
+   {
+      fs.emptyDirSync(rootPath);
+
+      fs.writeFileSync(path.join(rootPath, 'jspm.config.js'), `
+SystemJS.config({
+  map: { "backbone": "github:typhonjs/backbone-es6@master" },
+  packages: { "github:typhonjs/backbone-es6@master": { "map": { "underscore": "npm:underscore@1.8.3" } } }
+});`);
+
+      fs.writeFileSync(path.join(rootPath, 'jspm.browser.js'), `
+SystemJS.config({ baseURL: "/", paths: { "github:": "jspm_packages/github/", "npm:": "jspm_packages/npm/" } });`);
+   });
+
+   after(() => { fs.removeSync(rootPath); });
+
+   it('detects jspm 0.17', () =>
+   {
+      const result = systemLoader(rootPath, packageObj);
+
+      assert.strictEqual(result.jspmVersion, '0.17');
+      assert.deepEqual(result.configFiles, ['jspm.config.js', 'jspm.browser.js']);
+   });
+
+   it('provides top level map and normalizes packages', () =>
+   {
+      const { System } = systemLoader(rootPath, packageObj);
+
+      assert.deepEqual(System.map, { backbone: 'github:typhonjs/backbone-es6@master' });
+
+      assert.strictEqual(System.normalizeSync('backbone'),
+       `file://${path.join(rootPath, 'jspm_packages/github/typhonjs/backbone-es6@master')}.js`);
+   });
+
+   it('keys child packages by file URL', () =>
+   {
+      const { System } = systemLoader(rootPath, packageObj);
+
+      const packageURL = `file://${path.join(rootPath, 'jspm_packages/github/typhonjs/backbone-es6@master')}`;
+
+      assert.deepEqual(System.packages[packageURL].map, { underscore: 'npm:underscore@1.8.3' });
+   });
+});
@@ -0,0 +1,38 @@
+import { assert }         from 'chai';
+
+import Utils              from '../../src/Utils.js';
+
+/**
+ * Confirms that paths are normalized to POSIX paths and literals are escaped for RegExps.
+ *
+ * @test {Utils}
+ */
+describe('Utils', () =>
+{
+   it('normalizes relative paths', () =>
+   {
+      assert.strictEqual(Utils.toPosixPath('jspm_packages\\npm\\underscore@1.8.3'),
+       'jspm_packages/npm/underscore@1.8.3');
+      assert.strictEqual(Utils.normalizeRelativePath('.\\src\\lib\\'), 'src/lib');
+      assert.strictEqual(Utils.normalizeRelativePath('./src/'), 'src');
+      assert.strictEqual(Utils.normalizeRelativePath('.'), '');
+   });
+
+   it('escapes RegExp literals', () =>
+   {
+      const regex = new RegExp(`^${Utils.escapeRegExp('lodash.merge+x')}$`);
+
+      assert.isTrue(regex.test('lodash.merge+x'));
+      assert.isFalse(regex.test('lodashXmerge+x'));
+   });
+
+   it('creates path patterns matching both separators', () =>
+   {
+      const regex = new RegExp(`^${Utils.createPathPattern('jspm_packages/npm/underscore@1.8.3')}[\\\\/]`);
+
+      assert.isTrue(regex.test('jspm_packages/npm/underscore@1.8.3/underscore.js'));
+      assert.isTrue(regex.test('jspm_packages\\npm\\underscore@1.8.3\\underscore.js'));
+      assert.isFalse(regex.test('jspm_packages/npm/underscore@1x8x3/underscore.js'));
+      assert.isFalse(regex.test('jspm_packages/npm/underscore@1.8.30/underscore.js'));
+   });
+});
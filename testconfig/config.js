@@ -1,18 +1,15 @@
-/**
- * Provides an empty SystemJS config.js which is only populated and used during testing.
- */
 System.config({
   defaultJSExtensions: true,
   transpiler: "babel",
-  babelOptions: {
-    "optional": [
-      "runtime",
-      "optimisation.modules.system"
-    ]
-  },
   paths: {
+    "github:*": "jspm_packages/github/*",
+    "npm:*": "jspm_packages/npm/*"
   },
 
   map: {
+    "backbone-es6": "github:typhonjs-backbone/backbone-es6@master",
+    "github:typhonjs-backbone/backbone-es6@master": {
+      "underscore": "npm:underscore@1.8.3"
+    }
   }
-});
\ No newline at end of file
+});